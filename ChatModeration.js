@@ -0,0 +1,53 @@
+const { COUNTRIES_AND_CITIES } = require('./CountriesAndCities');
+const { normalizeName, getAcceptedNames } = require('./CountryNames');
+
+// Room chat moderation: profanity is masked rather than rejected, and while a
+// round is running any message naming a country (or one of the round's answer
+// options) only goes back to its sender. Holding back every name, not just the
+// answer, means what gets through says nothing about the answer.
+
+const MAX_NAME_WORDS = 6; // Longest name phrase looked for ("Saint Vincent and the Grenadines")
+
+// Two-letter aliases ("US", "UK") are left out as they clash with everyday words
+const COUNTRY_NAMES = new Set(COUNTRIES_AND_CITIES.flatMap(getAcceptedNames).filter(name => name.length > 2));
+
+// Matched against whole words after folding common character swaps
+const BLOCKED_WORDS = new Set([
+  'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cock',
+  'crap', 'cunt', 'dick', 'dickhead', 'fag', 'faggot', 'fuck', 'fucker', 'fucking', 'motherfucker',
+  'nigga', 'nigger', 'piss', 'prick', 'pussy', 'retard', 'shit', 'shitty', 'slut', 'twat', 'wanker', 'whore'
+]);
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// The reactions players can send; anything else is refused
+const REACTIONS = ['👍', '👏', '😂', '😮', '😢', '🔥', '🎉', '🤔'];
+
+const foldWord = (word) => word.toLowerCase()
+  .replace(/[01345@$7]/g, char => LOOKALIKES[char])
+  .replace(/[^a-z]/g, '');
+
+// Swap each profane word for asterisks of the same length
+const censorMessage = (message) => message.replace(/[\p{L}\p{N}@$]+/gu, word =>
+  (BLOCKED_WORDS.has(foldWord(word)) ? '*'.repeat(word.length) : word));
+
+// Names held back during a round: every country, plus the option labels of a
+// multiple-choice round (capitals and currencies in reverse mode)
+const getHeldNames = (round) => (round.options
+  ? new Set([...COUNTRY_NAMES, ...round.options.map(option => normalizeName(option.label)).filter(Boolean)])
+  : COUNTRY_NAMES);
+
+// True when any run of consecutive words in the message spells one of the
+// names, so "it's the united kingdom" is caught but "ukulele" is not
+const mentionsName = (message, names) => {
+  const words = message.split(/\s+/).map(normalizeName).filter(Boolean);
+  return words.some((_, start) => {
+    let phrase = '';
+    return words.slice(start, start + MAX_NAME_WORDS).some(word => {
+      phrase += word;
+      return names.has(phrase);
+    });
+  });
+};
+
+module.exports = { REACTIONS, censorMessage, getHeldNames, mentionsName };
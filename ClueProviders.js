@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { COUNTRIES_AND_CITIES } = require('./CountriesAndCities');
+const { formatPopulation } = require('./CountryLoader');
+const { containsCountryName } = require('./CountryNames');
+
+// Clue providers in default reveal order (vaguest first). Registering a provider
+// is all it takes to add a clue type: GameRoom builds its schedule from this
+// registry and submit_settings validates `enableClues` keys against it.
+const CLUE_PROVIDERS = new Map();
+
+const registerClue = (key, label, getValue) => {
+  CLUE_PROVIDERS.set(key, { key, label, getValue });
+};
+
+const NAMES_BY_ISO = new Map(COUNTRIES_AND_CITIES.map(country => [country.iso_code, country.country]));
+
+const orNone = (value) => value || 'None';
+
+// City names that spell out the answer ("Mexico City", "Singapore") are never shown
+const SHARES_NAME = 'Shares the country\'s name';
+
+// Outline images are named by a keyed hash of the ISO code so the file name
+// doesn't give the answer away; the client asset build uses the same key
+const OUTLINE_ASSET_KEY = process.env.OUTLINE_ASSET_KEY;
+const getOutlineAssetId = (country) =>
+  crypto.createHmac('sha256', OUTLINE_ASSET_KEY).update(country.iso_alpha2).digest('hex').slice(0, 16);
+
+registerClue('region', 'Region', country => country.region);
+registerClue('area', 'Land Area', country => `${country.area_km2.toLocaleString('en-US')} km²`);
+registerClue('driving_side', 'Driving Side', country =>
+  country.driving_side ? `Drives on the ${country.driving_side}` : 'No public roads');
+registerClue('main_export', 'Main Export', country => country.main_export);
+registerClue('population', 'Population', country => formatPopulation(country.population));
+registerClue('calling_code', 'Calling Code', country => country.calling_code);
+registerClue('currency', 'Currency', country => orNone(country.currencies.join(', ')));
+registerClue('language', 'Language', country => orNone(country.languages.join(', ')));
+registerClue('neighbours', 'Bordering Countries', country =>
+  country.borders.length > 0 ? country.borders.map(code => NAMES_BY_ISO.get(code)) : 'None (no land borders)');
+registerClue('fun_fact', 'Fun Fact', country => country.fun_fact);
+registerClue('landmark', 'Famous Landmark', country => orNone(country.landmark));
+registerClue('cities', 'Major Cities', country => {
+  const cities = [country.capital, ...country.cities].filter(Boolean);
+  const shown = cities.filter(city => !containsCountryName(city, country));
+  return shown.length > 0 || cities.length === 0 ? shown : SHARES_NAME;
+});
+// Clients resolve the outline image from their own asset bundle; without a
+// key the clue is not offered at all
+if (OUTLINE_ASSET_KEY) {
+  registerClue('outline', 'Shape Outline', country => `outlines/${getOutlineAssetId(country)}.svg`);
+}
+registerClue('capital', 'Capital City', country =>
+  (country.capital && containsCountryName(country.capital, country) ? SHARES_NAME : orNone(country.capital)));
+registerClue('flag', 'Flag', country => country.flag);
+
+const isClueKey = (key) => CLUE_PROVIDERS.has(key);
+
+const getClueValue = (key, country) => CLUE_PROVIDERS.get(key).getValue(country);
+
+// Enabled clues as { key, label }: keys listed in clueOrder first, in that order,
+// then the remaining enabled clues in registry order
+const buildClueSchedule = (enableClues, clueOrder = []) => {
+  const position = (key) => {
+    const index = clueOrder.indexOf(key);
+    return index === -1 ? clueOrder.length : index;
+  };
+  return [...CLUE_PROVIDERS.values()]
+    .filter(provider => enableClues[provider.key])
+    .sort((a, b) => position(a.key) - position(b.key))
+    .map(({ key, label }) => ({ key, label }));
+};
+
+module.exports = { CLUE_PROVIDERS, registerClue, isClueKey, getClueValue, buildClueSchedule };
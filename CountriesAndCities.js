@@ -1,270 +1,624 @@
+const { loadCountries } = require('./CountryLoader');
+
 // A compact data structure to hold all info efficiently
-// Format: 
-// [Country, [Cities], Region, Population, Currency, Language, Fun Fact, ISO_Code, Main_Export, Flag]
+// Format (validated by CountryLoader):
+// [Country, Capital, [Other Cities], Region, Population, [Currencies], [Languages], Fun Fact, ISO_Alpha3, ISO_Alpha2, Main_Export, Flag]
 
 const rawCountryData = [
-  ['Afghanistan', ['Kabul', 'Kandahar', 'Herat', 'Mazar-i-Sharif', 'Jalalabad'], 'Asia', '41 million', 'Afghan afghani', 'Pashto, Dari', 'It is home to the Hindu Kush mountain range.', 'AFG', 'Fruits/Nuts', '🇦🇫'],
-  ['Albania', ['Tirana', 'Durrës', 'Vlorë', 'Shkodër', 'Fier'], 'Europe', '2.8 million', 'Albanian lek', 'Albanian', 'It has hundreds of thousands of concrete bunkers from the communist era.', 'ALB', 'Footwear', '🇦🇱'],
-  ['Algeria', ['Algiers', 'Oran', 'Constantine', 'Annaba', 'Blida'], 'Africa', '45 million', 'Algerian dinar', 'Arabic, Berber', 'It is the largest country in Africa by land area.', 'DZA', 'Petroleum/Gas', '🇩🇿'],
-  ['American Samoa', ['Pago Pago', 'Tafuna', 'Leone', 'Faleniu'], 'Oceania', '44,000', 'US Dollar', 'English, Samoan', 'It is the only US territory located south of the equator.', 'ASM', 'Canned Tuna', '🇦🇸'],
-  ['Andorra', ['Andorra la Vella', 'Escaldes-Engordany', 'Encamp', 'Sant Julià de Lòria'], 'Europe', '79,000', 'Euro', 'Catalan', 'It is a co-principality headed by the Bishop of Urgell and the President of France.', 'AND', 'Tobacco', '🇦🇩'],
-  ['Angola', ['Luanda', 'Huambo', 'Lobito', 'Lubango', 'Cabinda'], 'Africa', '35 million', 'Angolan kwanza', 'Portuguese', 'It has the giant sable antelope, which was thought to be extinct.', 'AGO', 'Crude Oil', '🇦🇴'],
-  ['Anguilla', ['The Valley', 'Blowing Point', 'Sandy Ground'], 'North America', '15,000', 'East Caribbean dollar', 'English', 'It is known for its spectacular coral reefs and beaches.', 'AIA', 'Lobster', '🇦🇮'],
-  ['Antarctica', ['McMurdo Station', 'Palmer Station', 'Amundsen-Scott'], 'Antarctica', '0 (varies)', 'None', 'None', 'It holds about 90% of the world\'s fresh water (as ice).', 'ATA', 'Ice/Science', '🇦🇶'],
-  ['Antigua and Barbuda', ['St. John\'s', 'All Saints', 'Liberta', 'Potters Village'], 'North America', '99,000', 'East Caribbean dollar', 'English', 'It has a beach for every day of the year (365 beaches).', 'ATG', 'Tourism', '🇦🇬'],
-  ['Argentina', ['Buenos Aires', 'Córdoba', 'Rosario', 'Mendoza', 'La Plata'], 'South America', '46 million', 'Argentine peso', 'Spanish', 'It is the birthplace of the tango dance.', 'ARG', 'Soybeans', '🇦🇷'],
-  ['Armenia', ['Yerevan', 'Gyumri', 'Vanadzor', 'Vagharshapat'], 'Asia', '2.8 million', 'Armenian dram', 'Armenian', 'It was the first country to adopt Christianity as its official religion.', 'ARM', 'Copper Ore', '🇦🇲'],
-  ['Aruba', ['Oranjestad', 'San Nicolas', 'Noord', 'Santa Cruz'], 'South America', '106,000', 'Aruban florin', 'Dutch, Papiamento', 'It is part of the Kingdom of the Netherlands but located in the Caribbean.', 'ABW', 'Refined Petroleum', '🇦🇼'],
-  ['Australia', ['Sydney', 'Melbourne', 'Brisbane', 'Perth', 'Adelaide', 'Canberra'], 'Oceania', '26 million', 'Australian dollar', 'English', 'It is the only country that is also a continent.', 'AUS', 'Iron Ore', '🇦🇺'],
-  ['Austria', ['Vienna', 'Graz', 'Linz', 'Salzburg', 'Innsbruck'], 'Europe', '9 million', 'Euro', 'German', 'It is the birthplace of Mozart and home to the Alps.', 'AUT', 'Machinery', '🇦🇹'],
-  ['Azerbaijan', ['Baku', 'Ganja', 'Sumqayit', 'Mingachevir'], 'Asia', '10 million', 'Azerbaijani manat', 'Azerbaijani', 'It is known as the "Land of Fire" due to natural gas flares.', 'AZE', 'Crude Oil', '🇦🇿'],
-  ['Bahamas', ['Nassau', 'Freeport', 'West End', 'Coopers Town'], 'North America', '400,000', 'Bahamian dollar', 'English', 'It consists of over 700 islands and cays.', 'BHS', 'Tourism', '🇧🇸'],
-  ['Bahrain', ['Manama', 'Riffa', 'Muharraq', 'Hamad Town'], 'Asia', '1.5 million', 'Bahraini dinar', 'Arabic', 'It was the site of the ancient Dilmun civilization.', 'BHR', 'Refined Petroleum', '🇧🇭'],
-  ['Bangladesh', ['Dhaka', 'Chittagong', 'Khulna', 'Rajshahi', 'Sylhet'], 'Asia', '171 million', 'Bangladeshi taka', 'Bengali', 'It has the longest natural sea beach in the world (Cox\'s Bazar).', 'BGD', 'Textiles', '🇧🇩'],
-  ['Barbados', ['Bridgetown', 'Speightstown', 'Oistins', 'Holetown'], 'North America', '281,000', 'Barbadian dollar', 'English', 'It is the easternmost island in the Caribbean.', 'BRB', 'Hard Liquor', '🇧🇧'],
-  ['Belarus', ['Minsk', 'Gomel', 'Mogilev', 'Vitebsk'], 'Europe', '9.2 million', 'Belarusian ruble', 'Belarusian, Russian', 'About 40% of its territory is covered by forests.', 'BLR', 'Potash Fertilizers', '🇧🇾'],
-  ['Belgium', ['Brussels', 'Antwerp', 'Ghent', 'Charleroi', 'Liège'], 'Europe', '11.6 million', 'Euro', 'Dutch, French, German', 'It is world-famous for its chocolate and waffles.', 'BEL', 'Chemicals', '🇧🇪'],
-  ['Belize', ['Belize City', 'San Ignacio', 'Belmopan', 'Orange Walk Town'], 'North America', '405,000', 'Belize dollar', 'English', 'It has the second largest barrier reef in the world.', 'BLZ', 'Sugar', '🇧🇿'],
-  ['Benin', ['Cotonou', 'Porto-Novo', 'Parakou', 'Djougou'], 'Africa', '13 million', 'West African CFA franc', 'French', 'It is the birthplace of the Vodun (Voodoo) religion.', 'BEN', 'Cotton', '🇧🇯'],
-  ['Bermuda', ['Hamilton', 'St. George\'s', 'Somerset Village'], 'North America', '64,000', 'Bermudian dollar', 'English', 'It is famous for the mysterious "Bermuda Triangle" legend.', 'BMU', 'Financial Services', '🇧🇲'],
-  ['Bhutan', ['Thimphu', 'Phuntsholing', 'Paro', 'Gelephu'], 'Asia', '787,000', 'Ngultrum', 'Dzongkha', 'It measures "Gross National Happiness" instead of GDP.', 'BTN', 'Hydroelectricity', '🇧🇹'],
-  ['Bolivia', ['Santa Cruz de la Sierra', 'El Alto', 'La Paz', 'Cochabamba', 'Sucre'], 'South America', '12 million', 'Boliviano', 'Spanish, Quechua, Aymara', 'It is home to the world\'s largest salt flat, Salar de Uyuni.', 'BOL', 'Natural Gas', '🇧🇴'],
-  ['Bosnia and Herzegovina', ['Sarajevo', 'Banja Luka', 'Tuzla', 'Zenica', 'Mostar'], 'Europe', '3.2 million', 'Convertible mark', 'Bosnian, Croatian, Serbian', 'It is nicknamed the "Heart Shaped Land" due to its shape.', 'BIH', 'Metals', '🇧🇦'],
-  ['Botswana', ['Gaborone', 'Francistown', 'Molepolole', 'Maun'], 'Africa', '2.6 million', 'Pula', 'English, Tswana', 'It is home to the world\'s largest concentration of elephants.', 'BWA', 'Diamonds', '🇧🇼'],
-  ['Bouvet Island', [], 'Antarctica', '0', 'Norwegian krone', 'Norwegian', 'It is the most remote island in the world.', 'BVT', 'None', '🇧🇻'],
-  ['Brazil', ['São Paulo', 'Rio de Janeiro', 'Brasília', 'Salvador', 'Fortaleza'], 'South America', '215 million', 'Brazilian real', 'Portuguese', 'It contains the majority of the Amazon Rainforest.', 'BRA', 'Soybeans', '🇧🇷'],
-  ['British Indian Ocean Territory', ['Diego Garcia'], 'Asia', '3,000', 'US Dollar', 'English', 'It serves primarily as a military base.', 'IOT', 'Military', '🇮🇴'],
-  ['Brunei Darussalam', ['Bandar Seri Begawan', 'Kuala Belait', 'Seria', 'Tutong'], 'Asia', '450,000', 'Brunei dollar', 'Malay', 'It is an absolute monarchy ruled by a Sultan.', 'BRN', 'Crude Oil', '🇧🇳'],
-  ['Bulgaria', ['Sofia', 'Plovdiv', 'Varna', 'Burgas', 'Ruse'], 'Europe', '6.5 million', 'Bulgarian lev', 'Bulgarian', 'It produces a significant portion of the world\'s rose oil.', 'BGR', 'Refined Copper', '🇧🇬'],
-  ['Burkina Faso', ['Ouagadougou', 'Bobo-Dioulasso', 'Koudougou', 'Banfora'], 'Africa', '22 million', 'West African CFA franc', 'French', 'Its name means "Land of Incorruptible People".', 'BFA', 'Gold', '🇧🇫'],
-  ['Burundi', ['Bujumbura', 'Gitega', 'Muyinga', 'Ngozi'], 'Africa', '13 million', 'Burundian franc', 'Kirundi, French', 'It is known for its drumming tradition, the Royal Drummers.', 'BDI', 'Coffee', '🇧🇮'],
-  ['Cabo Verde', ['Praia', 'Mindelo', 'Espargos', 'Assomada'], 'Africa', '598,000', 'Cape Verdean escudo', 'Portuguese', 'It is an archipelago of 10 volcanic islands.', 'CPV', 'Fish', '🇨🇻'],
-  ['Cambodia', ['Phnom Penh', 'Siem Reap', 'Battambang', 'Sihanoukville'], 'Asia', '16.7 million', 'Riel', 'Khmer', 'It is home to Angkor Wat, the largest religious monument in the world.', 'KHM', 'Textiles', '🇰🇭'],
-  ['Cameroon', ['Douala', 'Yaoundé', 'Bamenda', 'Bafoussam'], 'Africa', '28 million', 'Central African CFA franc', 'French, English', 'It is often called "Africa in miniature" due to its diversity.', 'CMR', 'Crude Oil', '🇨🇲'],
-  ['Canada', ['Toronto', 'Montreal', 'Vancouver', 'Calgary', 'Ottawa'], 'North America', '39 million', 'Canadian dollar', 'English, French', 'It has the longest coastline in the world.', 'CAN', 'Crude Oil', '🇨🇦'],
-  ['Cayman Islands', ['George Town', 'West Bay', 'Bodden Town'], 'North America', '68,000', 'Cayman Islands dollar', 'English', 'It is a major world offshore financial center.', 'CYM', 'Financial Services', '🇰🇾'],
-  ['Central African Republic', ['Bangui', 'Bimbo', 'Berbérati', 'Carnot'], 'Africa', '5.5 million', 'Central African CFA franc', 'Sango, French', 'It is home to forest elephants and lowland gorillas.', 'CAF', 'Diamonds', '🇨🇫'],
-  ['Chad', ['N\'Djamena', 'Moundou', 'Sarh', 'Abéché'], 'Africa', '17 million', 'Central African CFA franc', 'Arabic, French', 'It is home to the Sahara Desert and Lake Chad.', 'TCD', 'Crude Oil', '🇹🇩'],
-  ['Chile', ['Santiago', 'Valparaíso', 'Concepción', 'La Serena', 'Antofagasta'], 'South America', '19.6 million', 'Chilean peso', 'Spanish', 'It is the longest and narrowest country in the world.', 'CHL', 'Copper', '🇨🇱'],
-  ['China', ['Shanghai', 'Beijing', 'Guangzhou', 'Shenzhen', 'Chengdu'], 'Asia', '1.4 billion', 'Renminbi (Yuan)', 'Standard Chinese', 'It has the largest population in the world (historically).', 'CHN', 'Electronics', '🇨🇳'],
-  ['Christmas Island', ['Flying Fish Cove', 'Poon Saan'], 'Oceania', '1,800', 'Australian dollar', 'English', 'It is famous for its annual red crab migration.', 'CXR', 'Phosphate', '🇨🇽'],
-  ['Cocos (Keeling) Islands', ['West Island', 'Home Island'], 'Oceania', '600', 'Australian dollar', 'English', 'It consists of two atolls and 27 coral islands.', 'CCK', 'Copra', '🇨🇨'],
-  ['Colombia', ['Bogotá', 'Medellín', 'Cali', 'Barranquilla', 'Cartagena'], 'South America', '52 million', 'Colombian peso', 'Spanish', 'It is the world\'s leading producer of emeralds.', 'COL', 'Crude Oil', '🇨🇴'],
-  ['Comoros', ['Moroni', 'Mutsamudu', 'Fomboni'], 'Africa', '836,000', 'Comorian franc', 'Comorian, Arabic, French', 'It is known as the "Perfume Islands" due to ylang-ylang production.', 'COM', 'Cloves/Vanilla', '🇰🇲'],
-  ['Congo', ['Brazzaville', 'Pointe-Noire', 'Dolisie', 'Nkayi'], 'Africa', '6 million', 'Central African CFA franc', 'French', 'It is often referred to as Congo-Brazzaville.', 'COG', 'Crude Oil', '🇨🇬'],
-  ['Democratic Republic of the Congo', ['Kinshasa', 'Lubumbashi', 'Mbuji-Mayi', 'Kananga', 'Kisangani'], 'Africa', '99 million', 'Congolese franc', 'French', 'It is home to the second largest rainforest in the world.', 'COD', 'Cobalt', '🇨🇩'],
-  ['Cook Islands', ['Avarua', 'Amuri', 'Omoka'], 'Oceania', '17,000', 'New Zealand dollar', 'English, Cook Islands Māori', 'It has a massive Exclusive Economic Zone of ocean.', 'COK', 'Fish', '🇨🇰'],
-  ['Costa Rica', ['San José', 'Alajuela', 'Cartago', 'Heredia'], 'North America', '5.2 million', 'Costa Rican colón', 'Spanish', 'It has no standing army, having abolished it in 1948.', 'CRI', 'Medical Instruments', '🇨🇷'],
-  ['Côte d\'Ivoire', ['Abidjan', 'Bouaké', 'Yamoussoukro', 'Daloa'], 'Africa', '28 million', 'West African CFA franc', 'French', 'It is the world\'s largest producer of cocoa beans.', 'CIV', 'Cocoa Beans', '🇨🇮'],
-  ['Croatia', ['Zagreb', 'Split', 'Rijeka', 'Osijek', 'Zadar'], 'Europe', '3.9 million', 'Euro', 'Croatian', 'It invented the necktie (cravat).', 'HRV', 'Refined Petroleum', '🇭🇷'],
-  ['Cuba', ['Havana', 'Santiago de Cuba', 'Camagüey', 'Holguín'], 'North America', '11 million', 'Cuban peso', 'Spanish', 'It is famous for its classic American cars and cigars.', 'CUB', 'Tobacco', '🇨🇺'],
-  ['Curaçao', ['Willemstad', 'Sint Michiel', 'Barber'], 'South America', '150,000', 'Netherlands Antillean guilder', 'Dutch, Papiamento, English', 'Its capital features colorful Dutch colonial architecture.', 'CUW', 'Refined Petroleum', '🇨🇼'],
-  ['Cyprus', ['Nicosia', 'Limassol', 'Larnaca', 'Paphos'], 'Europe', '1.2 million', 'Euro', 'Greek, Turkish', 'Legend says it is the birthplace of the goddess Aphrodite.', 'CYP', 'Ships', '🇨🇾'],
-  ['Czechia', ['Prague', 'Brno', 'Ostrava', 'Plzeň', 'Liberec'], 'Europe', '10.5 million', 'Czech koruna', 'Czech', 'It has the most castles per square mile in the world.', 'CZE', 'Cars', '🇨🇿'],
-  ['Denmark', ['Copenhagen', 'Aarhus', 'Odense', 'Aalborg'], 'Europe', '5.9 million', 'Danish krone', 'Danish', 'It is the home of LEGO.', 'DNK', 'Packaged Medicines', '🇩🇰'],
-  ['Djibouti', ['Djibouti City', 'Ali Sabieh', 'Dikhil'], 'Africa', '1.1 million', 'Djiboutian franc', 'French, Arabic', 'It hosts military bases from several world powers due to its strategic location.', 'DJI', 'Re-exports', '🇩🇯'],
-  ['Dominica', ['Roseau', 'Portsmouth', 'Marigot'], 'North America', '72,000', 'East Caribbean dollar', 'English', 'It is known as the "Nature Island of the Caribbean".', 'DMA', 'Bananas', '🇩🇲'],
-  ['Dominican Republic', ['Santo Domingo', 'Santiago', 'La Romana', 'San Pedro de Macorís'], 'North America', '11 million', 'Dominican peso', 'Spanish', 'It shares the island of Hispaniola with Haiti.', 'DOM', 'Gold', '🇩🇴'],
-  ['Ecuador', ['Guayaquil', 'Quito', 'Cuenca', 'Santo Domingo'], 'South America', '18 million', 'US Dollar', 'Spanish', 'It is named after the Equator, which runs through it.', 'ECU', 'Crude Oil', '🇪🇨'],
-  ['Egypt', ['Cairo', 'Alexandria', 'Giza', 'Shubra El Kheima', 'Port Said'], 'Africa', '111 million', 'Egyptian pound', 'Arabic', 'It is home to the Great Pyramids of Giza.', 'EGY', 'Refined Petroleum', '🇪🇬'],
-  ['El Salvador', ['San Salvador', 'Soyapango', 'Santa Ana', 'San Miguel'], 'North America', '6.3 million', 'US Dollar', 'Spanish', 'It is known as the "Land of Volcanoes".', 'SLV', 'Textiles', '🇸🇻'],
-  ['Equatorial Guinea', ['Malabo', 'Bata', 'Ebebiyin'], 'Africa', '1.6 million', 'Central African CFA franc', 'Spanish, French, Portuguese', 'It is the only African country where Spanish is an official language.', 'GNQ', 'Crude Oil', '🇬🇶'],
-  ['Eritrea', ['Asmara', 'Keren', 'Massawa', 'Assab'], 'Africa', '3.7 million', 'Nakfa', 'Tigrinya, Arabic, English', 'Its capital is known for its well-preserved Art Deco architecture.', 'ERI', 'Zinc Ore', '🇪🇷'],
-  ['Estonia', ['Tallinn', 'Tartu', 'Narva', 'Pärnu'], 'Europe', '1.3 million', 'Euro', 'Estonian', 'It is one of the world\'s most digitally advanced societies.', 'EST', 'Broadcasting Equipment', '🇪🇪'],
-  ['Eswatini', ['Mbabane', 'Manzini', 'Big Bend'], 'Africa', '1.2 million', 'Lilangeni', 'Swazi, English', 'It is one of the last absolute monarchies in Africa.', 'SWZ', 'Scented Mixtures', '🇸🇿'],
-  ['Ethiopia', ['Addis Ababa', 'Dire Dawa', 'Mek\'ele', 'Gondar'], 'Africa', '123 million', 'Birr', 'Amharic', 'It is considered the birthplace of coffee.', 'ETH', 'Coffee', '🇪🇹'],
-  ['Falkland Islands (Malvinas)', ['Stanley'], 'South America', '3,700', 'Falkland Islands pound', 'English', 'It has far more sheep than people.', 'FLK', 'Wool', '🇫🇰'],
-  ['Faroe Islands', ['Tórshavn', 'Klaksvík'], 'Europe', '53,000', 'Faroese króna', 'Faroese, Danish', 'It is an autonomous territory of Denmark with a strong Viking heritage.', 'FRO', 'Fish', '🇫🇴'],
-  ['Fiji', ['Suva', 'Lautoka', 'Nadi', 'Labasa'], 'Oceania', '929,000', 'Fijian dollar', 'English, Fijian', 'It consists of over 300 islands in the South Pacific.', 'FJI', 'Water', '🇫🇯'],
-  ['Finland', ['Helsinki', 'Espoo', 'Tampere', 'Vantaa', 'Oulu'], 'Europe', '5.5 million', 'Euro', 'Finnish, Swedish', 'It has the most saunas per capita in the world.', 'FIN', 'Paper/Wood', '🇫🇮'],
-  ['France', ['Paris', 'Marseille', 'Lyon', 'Toulouse', 'Nice'], 'Europe', '68 million', 'Euro', 'French', 'It is the most visited country in the world.', 'FRA', 'Aircraft', '🇫🇷'],
-  ['French Guiana', ['Cayenne', 'Matoury', 'Saint-Laurent-du-Maroni'], 'South America', '300,000', 'Euro', 'French', 'It is home to the Guiana Space Centre, Europe\'s spaceport.', 'GUF', 'Gold', '🇬🇫'],
-  ['French Polynesia', ['Papeete', 'Faa\'a', 'Punaauia'], 'Oceania', '280,000', 'CFP franc', 'French', 'It includes the famous island of Bora Bora.', 'PYF', 'Pearls', '🇵🇫'],
-  ['French Southern Territories', ['Port-aux-Français'], 'Antarctica', 'No permanent pop.', 'Euro', 'French', 'It is a group of volcanic islands in the southern Indian Ocean.', 'ATF', 'Science', '🇹🇫'],
-  ['Gabon', ['Libreville', 'Port-Gentil', 'Franceville'], 'Africa', '2.3 million', 'Central African CFA franc', 'French', 'Over 80% of the country is covered by rainforests.', 'GAB', 'Crude Oil', '🇬🇦'],
-  ['Gambia', ['Banjul', 'Serekunda', 'Brikama', 'Bakau'], 'Africa', '2.7 million', 'Dalasi', 'English', 'It is the smallest country on the mainland African continent.', 'GMB', 'Peanuts', '🇬🇲'],
-  ['Georgia', ['Tbilisi', 'Batumi', 'Kutaisi', 'Rustavi'], 'Asia', '3.7 million', 'Lari', 'Georgian', 'It is considered the birthplace of wine, making it for 8,000 years.', 'GEO', 'Copper Ore', '🇬🇪'],
-  ['Germany', ['Berlin', 'Munich', 'Hamburg', 'Frankfurt', 'Cologne'], 'Europe', '84 million', 'Euro', 'German', 'It has over 1,000 types of sausages.', 'DEU', 'Cars', '🇩🇪'],
-  ['Ghana', ['Accra', 'Kumasi', 'Tamale', 'Takoradi'], 'Africa', '33 million', 'Cedi', 'English', 'It was the first sub-Saharan country to gain independence from colonial rule.', 'GHA', 'Gold', '🇬🇭'],
-  ['Gibraltar', ['Gibraltar'], 'Europe', '34,000', 'Gibraltar pound', 'English', 'It is famous for the Rock of Gibraltar and its wild monkeys.', 'GIB', 'Online Gaming', '🇬🇮'],
-  ['Greece', ['Athens', 'Thessaloniki', 'Patras', 'Heraklion', 'Larissa'], 'Europe', '10.4 million', 'Euro', 'Greek', 'It is considered the cradle of Western civilization.', 'GRC', 'Refined Petroleum', '🇬🇷'],
-  ['Greenland', ['Nuuk', 'Sisimiut', 'Ilulissat'], 'North America', '56,000', 'Danish krone', 'Greenlandic', 'It is the world\'s largest island.', 'GRL', 'Fish', '🇬🇱'],
-  ['Grenada', ['St. George\'s', 'Gouyave', 'Grenville'], 'North America', '125,000', 'East Caribbean dollar', 'English', 'It is known as the "Island of Spice" due to nutmeg production.', 'GRD', 'Nutmeg', '🇬🇩'],
-  ['Guadeloupe', ['Les Abymes', 'Baie-Mahault', 'Le Gosier'], 'North America', '384,000', 'Euro', 'French', 'It is an overseas region of France shaped like a butterfly.', 'GLP', 'Bananas', '🇬🇵'],
-  ['Guam', ['Dededo', 'Yigo', 'Tamuning', 'Hagåtña'], 'Oceania', '170,000', 'US Dollar', 'English, Chamorro', 'Its slogan is "Where America\'s Day Begins".', 'GUM', 'Tourism/Military', '🇬🇺'],
-  ['Guatemala', ['Guatemala City', 'Mixco', 'Villa Nueva', 'Quetzaltenango'], 'North America', '18 million', 'Quetzal', 'Spanish', 'It is considered the heart of the Mayan world.', 'GTM', 'Bananas', '🇬🇹'],
-  ['Guernsey', ['Saint Peter Port'], 'Europe', '63,000', 'Guernsey pound', 'English', 'It is a Crown Dependency, not part of the UK.', 'GGY', 'Financial Services', '🇬🇬'],
-  ['Guinea', ['Conakry', 'Nzérékoré', 'Kankan', 'Kindia'], 'Africa', '14 million', 'Guinean franc', 'French', 'It possesses the world\'s largest reserves of bauxite.', 'GIN', 'Bauxite', '🇬🇳'],
-  ['Guinea-Bissau', ['Bissau', 'Bafatá', 'Gabú'], 'Africa', '2 million', 'West African CFA franc', 'Portuguese', 'It is home to the Bijagós Archipelago, a UNESCO biosphere reserve.', 'GNB', 'Cashews', '🇬🇼'],
-  ['Guyana', ['Georgetown', 'Linden', 'New Amsterdam'], 'South America', '808,000', 'Guyanese dollar', 'English', 'It is the only English-speaking country in South America.', 'GUY', 'Crude Oil', '🇬🇾'],
-  ['Haiti', ['Port-au-Prince', 'Carrefour', 'Delmas', 'Cap-Haïtien'], 'North America', '11.5 million', 'Gourde', 'Haitian Creole, French', 'It was the first independent black republic in the world.', 'HTI', 'Textiles', '🇭🇹'],
-  ['Heard Island and McDonald Islands', [], 'Antarctica', '0', 'Australian dollar', 'English', 'It contains Australia\'s only active volcanoes.', 'HMD', 'None', '🇭🇲'],
-  ['Holy See', ['Vatican City'], 'Europe', '800', 'Euro', 'Latin, Italian', 'It is the smallest country in the world by both area and population.', 'VAT', 'Tourism', '🇻🇦'],
-  ['Honduras', ['Tegucigalpa', 'San Pedro Sula', 'Choloma', 'La Ceiba'], 'North America', '10 million', 'Lempira', 'Spanish', 'It was the original "Banana Republic".', 'HND', 'Textiles', '🇭🇳'],
-  ['Hong Kong', ['Kowloon', 'Victoria City', 'Sha Tin', 'Tuen Mun'], 'Asia', '7.4 million', 'Hong Kong dollar', 'Chinese, English', 'It has the most skyscrapers of any city in the world.', 'HKG', 'Gold', '🇭🇰'],
-  ['Hungary', ['Budapest', 'Debrecen', 'Szeged', 'Miskolc'], 'Europe', '9.7 million', 'Forint', 'Hungarian', 'It is known for its thermal baths and spas.', 'HUN', 'Cars', '🇭🇺'],
-  ['Iceland', ['Reykjavík', 'Kópavogur', 'Hafnarfjörður'], 'Europe', '376,000', 'Icelandic króna', 'Icelandic', 'It uses almost 100% renewable energy for electricity.', 'ISL', 'Fish', '🇮🇸'],
-  ['India', ['Mumbai', 'Delhi', 'Bangalore', 'Hyderabad', 'Chennai', 'Kolkata'], 'Asia', '1.4 billion', 'Indian rupee', 'Hindi, English', 'It gave the world the number zero.', 'IND', 'Refined Petroleum', '🇮🇳'],
-  ['Indonesia', ['Jakarta', 'Surabaya', 'Bandung', 'Medan', 'Semarang'], 'Asia', '275 million', 'Indonesian rupiah', 'Indonesian', 'It is the world\'s largest archipelago country.', 'IDN', 'Coal', '🇮🇩'],
-  ['Iran', ['Tehran', 'Mashhad', 'Isfahan', 'Karaj', 'Shiraz'], 'Asia', '88 million', 'Iranian rial', 'Persian', 'It is one of the world\'s oldest civilizations, formerly known as Persia.', 'IRN', 'Crude Oil', '🇮🇷'],
-  ['Iraq', ['Baghdad', 'Basra', 'Mosul', 'Erbil', 'Najaf'], 'Asia', '44 million', 'Iraqi dinar', 'Arabic, Kurdish', 'It corresponds to ancient Mesopotamia, the "Cradle of Civilization".', 'IRQ', 'Crude Oil', '🇮🇶'],
-  ['Ireland', ['Dublin', 'Cork', 'Limerick', 'Galway', 'Waterford'], 'Europe', '5 million', 'Euro', 'Irish, English', 'It is known as the "Emerald Isle" due to its greenery.', 'IRL', 'Pharmaceuticals', '🇮🇪'],
-  ['Isle of Man', ['Douglas', 'Ramsey', 'Peel'], 'Europe', '84,000', 'Manx pound', 'English, Manx', 'It is famous for the TT motorcycle race.', 'IMN', 'Financial Services', '🇮🇲'],
-  ['Israel', ['Jerusalem', 'Tel Aviv', 'Haifa', 'Rishon LeZion'], 'Asia', '9.5 million', 'New Shekel', 'Hebrew', 'It has the highest number of museums per capita.', 'ISR', 'Diamonds', '🇮🇱'],
-  ['Italy', ['Rome', 'Milan', 'Naples', 'Turin', 'Palermo'], 'Europe', '59 million', 'Euro', 'Italian', 'It has the most UNESCO World Heritage Sites.', 'ITA', 'Packaged Medicines', '🇮🇹'],
-  ['Jamaica', ['Kingston', 'Portmore', 'Spanish Town', 'Montego Bay'], 'North America', '2.8 million', 'Jamaican dollar', 'English', 'It is the birthplace of Reggae music and Bob Marley.', 'JAM', 'Bauxite', '🇯🇲'],
-  ['Japan', ['Tokyo', 'Yokohama', 'Osaka', 'Nagoya', 'Sapporo'], 'Asia', '125 million', 'Japanese yen', 'Japanese', 'It has the highest life expectancy in the world.', 'JPN', 'Cars', '🇯🇵'],
-  ['Jersey', ['Saint Helier'], 'Europe', '100,000', 'Jersey pound', 'English', 'It is the largest of the Channel Islands.', 'JEY', 'Financial Services', '🇯🇪'],
-  ['Jordan', ['Amman', 'Zarqa', 'Irbid', 'Russeifa'], 'Asia', '11 million', 'Jordanian dinar', 'Arabic', 'It is home to Petra, a city carved into rock.', 'JOR', 'Potash', '🇯🇴'],
-  ['Kazakhstan', ['Almaty', 'Astana', 'Shymkent', 'Karaganda'], 'Asia', '19 million', 'Tenge', 'Kazakh, Russian', 'It is the largest landlocked country in the world.', 'KAZ', 'Crude Oil', '🇰🇿'],
-  ['Kenya', ['Nairobi', 'Mombasa', 'Kisumu', 'Nakuru'], 'Africa', '54 million', 'Kenyan shilling', 'Swahili, English', 'It is famous for the Great Migration of wildebeest.', 'KEN', 'Tea', '🇰🇪'],
-  ['Kiribati', ['Tarawa', 'Betio', 'Bikenibeu'], 'Oceania', '131,000', 'Australian dollar', 'English, Gilbertese', 'It is the only country situated in all four hemispheres.', 'KIR', 'Fish', '🇰🇮'],
-  ['North Korea', ['Pyongyang', 'Hamhung', 'Chongjin', 'Nampo'], 'Asia', '26 million', 'North Korean won', 'Korean', 'It has the largest stadium in the world by capacity.', 'PRK', 'Coal', '🇰🇵'],
-  ['South Korea', ['Seoul', 'Busan', 'Incheon', 'Daegu', 'Daejeon'], 'Asia', '51 million', 'South Korean won', 'Korean', 'It has the fastest internet speeds in the world.', 'KOR', 'Integrated Circuits', '🇰🇷'],
-  ['Kuwait', ['Kuwait City', 'Al Ahmadi', 'Hawalli', 'Salmiya'], 'Asia', '4.2 million', 'Kuwaiti dinar', 'Arabic', 'Its currency is the highest valued in the world.', 'KWT', 'Crude Oil', '🇰🇼'],
-  ['Kyrgyzstan', ['Bishkek', 'Osh', 'Jalal-Abad'], 'Asia', '6.6 million', 'Som', 'Kyrgyz, Russian', 'It is incredibly mountainous, dominated by the Tian Shan.', 'KGZ', 'Gold', '🇰🇬'],
-  ['Laos', ['Vientiane', 'Pakse', 'Savannakhet', 'Luang Prabang'], 'Asia', '7.5 million', 'Kip', 'Lao', 'It is the most heavily bombed country in history per capita.', 'LAO', 'Electricity', '🇱🇦'],
-  ['Latvia', ['Riga', 'Daugavpils', 'Liepāja', 'Jelgava'], 'Europe', '1.9 million', 'Euro', 'Latvian', 'It has one of the widest waterfalls in Europe, Ventas Rumba.', 'LVA', 'Wood', '🇱🇻'],
-  ['Lebanon', ['Beirut', 'Tripoli', 'Sidon', 'Tyre'], 'Asia', '5.5 million', 'Lebanese pound', 'Arabic', 'It is the only Middle Eastern country without a desert.', 'LBN', 'Gold', '🇱🇧'],
-  ['Lesotho', ['Maseru', 'Teyateyaneng', 'Mafeteng'], 'Africa', '2.3 million', 'Loti', 'Sotho, English', 'It is the only independent state entirely above 1,000m in elevation.', 'LSO', 'Diamonds', '🇱🇸'],
-  ['Liberia', ['Monrovia', 'Gbarnga', 'Buchanan', 'Ganta'], 'Africa', '5.3 million', 'Liberian dollar', 'English', 'It was founded by freed slaves from the United States.', 'LBR', 'Gold/Rubber', '🇱🇷'],
-  ['Libya', ['Tripoli', 'Benghazi', 'Misrata', 'Bayda'], 'Africa', '6.8 million', 'Libyan dinar', 'Arabic', 'It was home to the ancient city of Leptis Magna.', 'LBY', 'Crude Oil', '🇱🇾'],
-  ['Liechtenstein', ['Vaduz', 'Schaan', 'Triesen'], 'Europe', '39,000', 'Swiss franc', 'German', 'It is one of only two doubly landlocked countries.', 'LIE', 'Specialized Machinery', '🇱🇮'],
-  ['Lithuania', ['Vilnius', 'Kaunas', 'Klaipėda', 'Šiauliai'], 'Europe', '2.8 million', 'Euro', 'Lithuanian', 'It was the first Soviet republic to declare independence.', 'LTU', 'Refined Petroleum', '🇱🇹'],
-  ['Luxembourg', ['Luxembourg City', 'Esch-sur-Alzette', 'Dudelange'], 'Europe', '650,000', 'Euro', 'Luxembourgish, French, German', 'It has the highest GDP per capita in the world.', 'LUX', 'Iron/Steel', '🇱🇺'],
-  ['Macao', ['Macau'], 'Asia', '680,000', 'Pataca', 'Chinese, Portuguese', 'It is known as the "Las Vegas of Asia".', 'MAC', 'Gambling/Tourism', '🇲🇴'],
-  ['Madagascar', ['Antananarivo', 'Toamasina', 'Antsirabe', 'Fianarantsoa'], 'Africa', '29 million', 'Ariary', 'Malagasy, French', '90% of its wildlife is found nowhere else on Earth.', 'MDG', 'Vanilla', '🇲🇬'],
-  ['Malawi', ['Lilongwe', 'Blantyre', 'Mzuzu', 'Zomba'], 'Africa', '20 million', 'Malawian kwacha', 'English, Chewa', 'It is nicknamed "The Warm Heart of Africa".', 'MWI', 'Tobacco', '🇲🇼'],
-  ['Malaysia', ['Kuala Lumpur', 'George Town', 'Ipoh', 'Shah Alam', 'Johor Bahru'], 'Asia', '33 million', 'Ringgit', 'Malay', 'It is home to the Petronas Towers, once the world\'s tallest buildings.', 'MYS', 'Integrated Circuits', '🇲🇾'],
-  ['Maldives', ['Malé', 'Addu City', 'Fuvahmulah'], 'Asia', '540,000', 'Rufiyaa', 'Dhivehi', 'It is the lowest country in the world by average elevation.', 'MDV', 'Fish', '🇲🇻'],
-  ['Mali', ['Bamako', 'Sikasso', 'Kalabancoro', 'Koutiala'], 'Africa', '22 million', 'West African CFA franc', 'Bambara, French', 'It was home to the wealthy Mansa Musa and Timbuktu.', 'MLI', 'Gold', '🇲🇱'],
-  ['Malta', ['Valletta', 'Birkirkara', 'Mosta', 'St. Paul\'s Bay'], 'Europe', '530,000', 'Euro', 'Maltese, English', 'Its capital, Valletta, is a UNESCO World Heritage site.', 'MLT', 'Integrated Circuits', '🇲🇹'],
-  ['Marshall Islands', ['Majuro', 'Ebeye'], 'Oceania', '41,000', 'US Dollar', 'English, Marshallese', 'It is composed entirely of coral atolls.', 'MHL', 'Ships', '🇲🇭'],
-  ['Martinique', ['Fort-de-France', 'Le Lamentin', 'Le Robert'], 'North America', '375,000', 'Euro', 'French', 'It is known as the "Isle of Flowers".', 'MTQ', 'Refined Petroleum', '🇲🇶'],
-  ['Mauritania', ['Nouakchott', 'Nouadhibou', 'Kiffa'], 'Africa', '4.7 million', 'Ouguiya', 'Arabic', 'It has the Eye of the Sahara, a massive circular geological feature.', 'MRT', 'Iron Ore', '🇲🇷'],
-  ['Mauritius', ['Port Louis', 'Beau Bassin-Rose Hill', 'Vacoas-Phoenix'], 'Africa', '1.3 million', 'Mauritian rupee', 'English, French', 'It was the only known home of the Dodo bird.', 'MUS', 'Fish', '🇲🇺'],
-  ['Mayotte', ['Mamoudzou', 'Koungou'], 'Africa', '326,000', 'Euro', 'French', 'It is an overseas department of France in the Indian Ocean.', 'MYT', 'Perfume Plants', '🇾🇹'],
-  ['Mexico', ['Mexico City', 'Guadalajara', 'Monterrey', 'Puebla', 'Tijuana'], 'North America', '127 million', 'Mexican peso', 'Spanish', 'It introduced chocolate, corn, and chilies to the world.', 'MEX', 'Cars', '🇲🇽'],
-  ['Micronesia', ['Palikir', 'Weno', 'Colonia'], 'Oceania', '115,000', 'US Dollar', 'English', 'It is spread across the western Pacific Ocean comprising 607 islands.', 'FSM', 'Fish', '🇫🇲'],
-  ['Moldova', ['Chisinau', 'Balti', 'Tiraspol', 'Bender'], 'Europe', '2.5 million', 'Moldovan leu', 'Romanian', 'It has the largest wine cellar in the world by number of bottles.', 'MDA', 'Corn/Wine', '🇲🇩'],
-  ['Monaco', ['Monaco', 'Monte Carlo', 'La Condamine'], 'Europe', '36,000', 'Euro', 'French', 'It is the second smallest country in the world.', 'MCO', 'Cosmetics', '🇲🇨'],
-  ['Mongolia', ['Ulaanbaatar', 'Erdenet', 'Darkhan'], 'Asia', '3.4 million', 'Tögrög', 'Mongolian', 'It is the most sparsely populated sovereign nation.', 'MNG', 'Copper Ore', '🇲🇳'],
-  ['Montenegro', ['Podgorica', 'Nikšić', 'Herceg Novi'], 'Europe', '619,000', 'Euro', 'Montenegrin', 'Its name means "Black Mountain".', 'MNE', 'Aluminum', '🇲🇪'],
-  ['Montserrat', ['Brades', 'Plymouth'], 'North America', '4,300', 'East Caribbean dollar', 'English', 'Its former capital was buried by a volcanic eruption.', 'MSR', 'Sand', '🇲🇸'],
-  ['Morocco', ['Casablanca', 'Rabat', 'Fes', 'Tangier', 'Marrakesh'], 'Africa', '37 million', 'Moroccan dirham', 'Arabic, Berber', 'It is home to the oldest university in the world, Al Quaraouiyine.', 'MAR', 'Phosphates/Fertilizers', '🇲🇦'],
-  ['Mozambique', ['Maputo', 'Matola', 'Beira', 'Nampula'], 'Africa', '32 million', 'Metical', 'Portuguese', 'Its flag is the only one to feature a modern assault rifle.', 'MOZ', 'Coal', '🇲🇿'],
-  ['Myanmar', ['Yangon', 'Mandalay', 'Naypyidaw', 'Mawlamyine'], 'Asia', '54 million', 'Kyat', 'Burmese', 'It is known as the "Land of Golden Pagodas".', 'MMR', 'Natural Gas', '🇲🇲'],
-  ['Namibia', ['Windhoek', 'Rundu', 'Walvis Bay'], 'Africa', '2.5 million', 'Namibian dollar', 'English', 'It has the oldest desert in the world, the Namib.', 'NAM', 'Diamonds', '🇳🇦'],
-  ['Nauru', ['Yaren', 'Denigomodu', 'Meneng'], 'Oceania', '12,000', 'Australian dollar', 'Nauruan, English', 'It is the smallest island nation and has no official capital.', 'NRU', 'Fish', '🇳🇷'],
-  ['Nepal', ['Kathmandu', 'Pokhara', 'Lalitpur', 'Biratnagar'], 'Asia', '30 million', 'Nepalese rupee', 'Nepali', 'It is the only country with a non-rectangular flag.', 'NPL', 'Carpets', '🇳🇵'],
-  ['Netherlands', ['Amsterdam', 'Rotterdam', 'The Hague', 'Utrecht'], 'Europe', '17.7 million', 'Euro', 'Dutch', 'About 26% of its land is below sea level.', 'NLD', 'Refined Petroleum', '🇳🇱'],
-  ['New Caledonia', ['Nouméa', 'Dumbéa', 'Le Mont-Dore'], 'Oceania', '290,000', 'CFP franc', 'French', 'It has the largest lagoon in the world.', 'NCL', 'Nickel', '🇳🇨'],
-  ['New Zealand', ['Auckland', 'Wellington', 'Christchurch', 'Hamilton'], 'Oceania', '5.1 million', 'New Zealand dollar', 'English, Māori', 'It was the filming location for The Lord of the Rings.', 'NZL', 'Dairy/Lamb', '🇳🇳'],
-  ['Nicaragua', ['Managua', 'León', 'Masaya', 'Matagalpa'], 'North America', '6.9 million', 'Córdoba', 'Spanish', 'It has the largest freshwater lake in Central America.', 'NIC', 'Coffee', '🇳🇮'],
-  ['Niger', ['Niamey', 'Maradi', 'Zinder', 'Tahoua'], 'Africa', '26 million', 'West African CFA franc', 'French', 'It is named after the Niger River.', 'NER', 'Uranium', '🇳🇪'],
-  ['Nigeria', ['Lagos', 'Kano', 'Ibadan', 'Abuja', 'Port Harcourt'], 'Africa', '218 million', 'Naira', 'English', 'It is the most populous country in Africa.', 'NGA', 'Crude Oil', '🇳🇬'],
-  ['Niue', ['Alofi'], 'Oceania', '1,600', 'New Zealand dollar', 'Niuean, English', 'It is the world\'s first "Dark Sky Nation".', 'NIU', 'Fish', '🇳🇺'],
-  ['Norfolk Island', ['Kingston', 'Burnt Pine'], 'Oceania', '2,000', 'Australian dollar', 'English, Norfuk', 'It is known for its iconic pine trees.', 'NFK', 'Seeds', '🇳🇫'],
-  ['North Macedonia', ['Skopje', 'Bitola', 'Kumanovo', 'Prilep'], 'Europe', '1.8 million', 'Denar', 'Macedonian', 'It is the birthplace of Mother Teresa.', 'MKD', 'Chemicals', '🇲🇰'],
-  ['Northern Mariana Islands', ['Saipan', 'Tinian', 'Rota'], 'Oceania', '49,000', 'US Dollar', 'English, Chamorro', 'It includes the Mariana Trench, the deepest point on Earth.', 'MNP', 'Tourism', '🇲🇵'],
-  ['Norway', ['Oslo', 'Bergen', 'Trondheim', 'Stavanger'], 'Europe', '5.4 million', 'Norwegian krone', 'Norwegian', 'It knighted a penguin named Sir Nils Olav.', 'NOR', 'Crude Oil/Gas', '🇳🇴'],
-  ['Oman', ['Muscat', 'Seeb', 'Salalah', 'Bawshar'], 'Asia', '4.5 million', 'Omani rial', 'Arabic', 'It is the oldest independent state in the Arab world.', 'OMN', 'Crude Oil', '🇴🇲'],
-  ['Pakistan', ['Karachi', 'Lahore', 'Islamabad', 'Faisalabad', 'Rawalpindi'], 'Asia', '235 million', 'Pakistani rupee', 'Urdu, English', 'It has the second highest mountain, K2.', 'PAK', 'Textiles', '🇵🇰'],
-  ['Palau', ['Ngerulmud', 'Koror', 'Airai'], 'Oceania', '18,000', 'US Dollar', 'Palauan, English', 'It created the world\'s first shark sanctuary.', 'PLW', 'Fish', '🇵🇼'],
-  ['Palestine', ['Gaza City', 'East Jerusalem', 'Hebron', 'Nablus', 'Ramallah'], 'Asia', '5.3 million', 'Shekel, Dinar', 'Arabic', 'It contains Jericho, one of the oldest inhabited cities.', 'PSE', 'Stone/Olives', '🇵🇸'],
-  ['Panama', ['Panama City', 'San Miguelito', 'Tocumen', 'David'], 'North America', '4.4 million', 'Balboa, US Dollar', 'Spanish', 'It is the only place where you can see the sun rise on the Pacific and set on the Atlantic.', 'PAN', 'Refined Petroleum', '🇵🇦'],
-  ['Papua New Guinea', ['Port Moresby', 'Lae', 'Arawa', 'Mount Hagen'], 'Oceania', '10 million', 'Kina', 'English, Tok Pisin', 'It has over 800 distinct languages spoken.', 'PNG', 'Gold/LNG', '🇵🇬'],
-  ['Paraguay', ['Asunción', 'Ciudad del Este', 'Luque', 'San Lorenzo'], 'South America', '6.7 million', 'Guaraní', 'Spanish, Guaraní', 'It generates almost 100% of its electricity from hydropower.', 'PRY', 'Electricity', '🇵🇾'],
-  ['Peru', ['Lima', 'Arequipa', 'Trujillo', 'Chiclayo', 'Cusco'], 'South America', '34 million', 'Sol', 'Spanish', 'It is home to Machu Picchu, the Lost City of the Incas.', 'PER', 'Copper Ore', '🇵🇪'],
-  ['Philippines', ['Manila', 'Quezon City', 'Davao City', 'Cebu City', 'Zamboanga City'], 'Asia', '115 million', 'Philippine peso', 'Filipino, English', 'It is composed of over 7,600 islands.', 'PHL', 'Integrated Circuits', '🇵🇭'],
-  ['Pitcairn', ['Adamstown'], 'Oceania', '50', 'New Zealand dollar', 'English, Pitkern', 'It is inhabited by descendants of the HMS Bounty mutineers.', 'PCN', 'Honey', '🇵🇳'],
-  ['Poland', ['Warsaw', 'Kraków', 'Łódź', 'Wrocław', 'Poznań'], 'Europe', '37 million', 'Złoty', 'Polish', 'It is home to the world\'s biggest castle by land area (Malbork).', 'POL', 'Vehicle Parts', '🇵🇱'],
-  ['Portugal', ['Lisbon', 'Porto', 'Vila Nova de Gaia', 'Amadora'], 'Europe', '10.3 million', 'Euro', 'Portuguese', 'It is the oldest nation-state on the Iberian Peninsula.', 'PRT', 'Cars', '🇵🇹'],
-  ['Puerto Rico', ['San Juan', 'Bayamón', 'Carolina', 'Ponce'], 'North America', '3.2 million', 'US Dollar', 'Spanish, English', 'It is home to the Coquí frog, a national symbol.', 'PRI', 'Pharmaceuticals', '🇵🇷'],
-  ['Qatar', ['Doha', 'Al Rayyan', 'Umm Salal', 'Al Wakrah'], 'Asia', '2.7 million', 'Qatari riyal', 'Arabic', 'It has the highest GDP per capita in the world (PPP).', 'QAT', 'Natural Gas', '🇶🇦'],
-  ['Romania', ['Bucharest', 'Cluj-Napoca', 'Timișoara', 'Iași'], 'Europe', '19 million', 'Romanian leu', 'Romanian', 'It is home to the legend of Dracula (Transylvania).', 'ROU', 'Vehicle Parts', '🇷🇴'],
-  ['Russia', ['Moscow', 'Saint Petersburg', 'Novosibirsk', 'Yekaterinburg', 'Kazan'], 'Europe/Asia', '144 million', 'Russian ruble', 'Russian', 'It is the largest country in the world by land area.', 'RUS', 'Oil/Gas', '🇷🇺'],
-  ['Rwanda', ['Kigali', 'Butare', 'Gitarama', 'Ruhengeri'], 'Africa', '13.7 million', 'Rwandan franc', 'Kinyarwanda, English, French', 'It is known as the "Land of a Thousand Hills".', 'RWA', 'Gold', '🇷🇼'],
-  ['Réunion', ['Saint-Denis', 'Saint-Paul', 'Saint-Pierre'], 'Africa', '860,000', 'Euro', 'French', 'It holds the world record for most rainfall in 12/24 hours.', 'REU', 'Sugar', '🇷🇪'],
-  ['Saint Barthélemy', ['Gustavia'], 'North America', '10,000', 'Euro', 'French', 'It is a luxury destination often called St. Barts.', 'BLM', 'Tourism', '🇧🇱'],
-  ['Saint Helena, Ascension and Tristan da Cunha', ['Jamestown', 'Georgetown', 'Edinburgh of the Seven Seas'], 'Africa', '5,000', 'Saint Helena pound', 'English', 'It was the place of Napoleon Bonaparte\'s exile.', 'SHN', 'Fish', '🇸🇭'],
-  ['Saint Kitts and Nevis', ['Basseterre', 'Charlestown'], 'North America', '47,000', 'East Caribbean dollar', 'English', 'It is the smallest sovereign state in the Western Hemisphere.', 'KNA', 'Broadcasting Equipment', '🇰🇳'],
-  ['Saint Lucia', ['Castries', 'Gros Islet', 'Vieux Fort'], 'North America', '180,000', 'East Caribbean dollar', 'English', 'It is the only country named after a woman.', 'LCA', 'Refined Petroleum', '🇱🇨'],
-  ['Saint Martin (French part)', ['Marigot'], 'North America', '32,000', 'Euro', 'French', 'It shares an island with Sint Maarten (Netherlands).', 'MAF', 'Tourism', '🇲🇫'],
-  ['Saint Pierre and Miquelon', ['Saint-Pierre', 'Miquelon-Langlade'], 'North America', '6,000', 'Euro', 'French', 'It is the last remnant of New France in North America.', 'SPM', 'Fish', '🇵🇲'],
-  ['Saint Vincent and the Grenadines', ['Kingstown', 'Georgetown'], 'North America', '104,000', 'East Caribbean dollar', 'English', 'It was a major filming location for Pirates of the Caribbean.', 'VCT', 'Pleasure Boats', '🇻🇨'],
-  ['Samoa', ['Apia', 'Vaitele', 'Faleasiu'], 'Oceania', '220,000', 'Tālā', 'Samoan, English', 'In 2011, it skipped a day to switch time zones.', 'WSM', 'Insulated Wire', '🇼🇸'],
-  ['San Marino', ['San Marino', 'Serravalle', 'Borgo Maggiore'], 'Europe', '33,000', 'Euro', 'Italian', 'It is the world\'s oldest surviving republic.', 'SMR', 'Washing Machines', '🇸🇲'],
-  ['Sao Tome and Principe', ['São Tomé', 'Trindade'], 'Africa', '227,000', 'Dobra', 'Portuguese', 'It was one of the first countries to grow cocoa.', 'STP', 'Cocoa Beans', '🇸🇹'],
-  ['Saudi Arabia', ['Riyadh', 'Jeddah', 'Mecca', 'Medina', 'Dammam'], 'Asia', '36 million', 'Saudi riyal', 'Arabic', 'It is the largest country in the world without a river.', 'SAU', 'Crude Oil', '🇸🇦'],
-  ['Senegal', ['Dakar', 'Touba', 'Thiès', 'Rufisque'], 'Africa', '17 million', 'West African CFA franc', 'French, Wolof', 'It is the westernmost point of the African mainland.', 'SEN', 'Fish/Gold', '🇸🇳'],
-  ['Serbia', ['Belgrade', 'Novi Sad', 'Niš', 'Kragujevac'], 'Europe', '6.8 million', 'Serbian dinar', 'Serbian', 'It is one of the world\'s leading raspberry exporters.', 'SRB', 'Insulated Wire', '🇷🇸'],
-  ['Seychelles', ['Victoria', 'Anse Etoile'], 'Africa', '100,000', 'Seychellois rupee', 'Seychellois Creole, English, French', 'It is home to the Coco de Mer, the largest seed in the world.', 'SYC', 'Boats', '🇸🇨'],
-  ['Sierra Leone', ['Freetown', 'Bo', 'Kenema', 'Makeni'], 'Africa', '8.6 million', 'Leone', 'English', 'Its name means "Lion Mountains".', 'SLE', 'Titanium Ore', '🇸🇱'],
-  ['Singapore', ['Singapore'], 'Asia', '5.6 million', 'Singapore dollar', 'English, Malay, Chinese', 'It is a city-state and the only island city-country.', 'SGP', 'Refined Petroleum', '🇸🇬'],
-  ['Sint Maarten (Dutch part)', ['Philipsburg', 'Lower Prince\'s Quarter'], 'North America', '44,000', 'Neth. Antillean guilder', 'Dutch, English', 'Its airport is famous for planes flying low over the beach.', 'SXM', 'Tourism', '🇸🇽'],
-  ['Slovakia', ['Bratislava', 'Košice', 'Prešov', 'Žilina'], 'Europe', '5.4 million', 'Euro', 'Slovak', 'It has the highest number of castles and chateaux per capita.', 'SVK', 'Cars', '🇸🇰'],
-  ['Slovenia', ['Ljubljana', 'Maribor', 'Celje', 'Kranj'], 'Europe', '2.1 million', 'Euro', 'Slovene', 'It is the only country with "LOVE" in its name.', 'SVN', 'Packaged Medicines', '🇸🇮'],
-  ['Solomon Islands', ['Honiara', 'Gizo', 'Auki'], 'Oceania', '724,000', 'Solomon Islands dollar', 'English', 'It was a major theatre of the Pacific War in WWII.', 'SLB', 'Timber', '🇸🇧'],
-  ['Somalia', ['Mogadishu', 'Hargeisa', 'Bosaso', 'Galkayo'], 'Africa', '17 million', 'Somali shilling', 'Somali, Arabic', 'It has the longest coastline on mainland Africa.', 'SOM', 'Livestock', '🇸🇴'],
-  ['South Africa', ['Johannesburg', 'Cape Town', 'Durban', 'Pretoria', 'Gqeberha'], 'Africa', '60 million', 'Rand', 'Zulu, Xhosa, Afrikaans, English', 'It has three capital cities.', 'ZAF', 'Platinum/Gold', '🇿🇦'],
-  ['South Georgia and the South Sandwich Islands', ['King Edward Point', 'Grytviken'], 'Antarctica', 'No permanent pop.', 'Pound sterling', 'English', 'It is the final resting place of explorer Ernest Shackleton.', 'SGS', 'Fish', '🇬🇸'],
-  ['South Sudan', ['Juba', 'Malakal', 'Wau', 'Yambio'], 'Africa', '11 million', 'South Sudanese pound', 'English', 'It is the world\'s youngest sovereign nation (2011).', 'SSD', 'Crude Oil', '🇸🇸'],
-  ['Spain', ['Madrid', 'Barcelona', 'Valencia', 'Seville', 'Zaragoza'], 'Europe', '47 million', 'Euro', 'Spanish', 'It is the world\'s largest producer of olive oil.', 'ESP', 'Cars', '🇪🇸'],
-  ['Sri Lanka', ['Colombo', 'Kandy', 'Galle', 'Jaffna'], 'Asia', '22 million', 'Sri Lankan rupee', 'Sinhala, Tamil', 'It was known as Ceylon until 1972.', 'LKA', 'Tea', '🇱🇰'],
-  ['Sudan', ['Khartoum', 'Omdurman', 'Port Sudan', 'Kassala'], 'Africa', '46 million', 'Sudanese pound', 'Arabic, English', 'It has more pyramids than Egypt.', 'SDN', 'Gold', '🇸🇩'],
-  ['Suriname', ['Paramaribo', 'Lelydorp', 'Nieuw Nickerie'], 'South America', '618,000', 'Surinamese dollar', 'Dutch', 'It is the most forested country in the world.', 'SUR', 'Gold', '🇸🇷'],
-  ['Svalbard and Jan Mayen', ['Longyearbyen', 'Barentsburg'], 'Europe', '2,500', 'Norwegian krone', 'Norwegian', 'It houses the Global Seed Vault.', 'SJM', 'Coal', '🇸🇯'],
-  ['Sweden', ['Stockholm', 'Gothenburg', 'Malmö', 'Uppsala'], 'Europe', '10.5 million', 'Swedish krona', 'Swedish', 'It imports waste from other countries to power its energy plants.', 'SWE', 'Cars', '🇸🇪'],
-  ['Switzerland', ['Zurich', 'Geneva', 'Basel', 'Bern', 'Lausanne'], 'Europe', '8.7 million', 'Swiss franc', 'German, French, Italian', 'It has not been at war since 1815.', 'CHE', 'Gold', '🇨🇭'],
-  ['Syria', ['Damascus', 'Aleppo', 'Homs', 'Latakia'], 'Asia', '22 million', 'Syrian pound', 'Arabic', 'Damascus is widely believed to be the oldest continuously inhabited city.', 'SYR', 'Olive Oil', '🇸🇾'],
-  ['Taiwan', ['Taipei', 'Kaohsiung', 'Taichung', 'Tainan'], 'Asia', '23 million', 'New Taiwan dollar', 'Mandarin', 'It is a global leader in semiconductor manufacturing.', 'TWN', 'Semiconductors', '🇹🇼'],
-  ['Tajikistan', ['Dushanbe', 'Khujand', 'Bokhtar', 'Kulob'], 'Asia', '10 million', 'Somoni', 'Tajik', 'More than 90% of the country is mountainous.', 'TJK', 'Gold', '🇹🇯'],
-  ['Tanzania', ['Dar es Salaam', 'Mwanza', 'Arusha', 'Dodoma', 'Zanzibar City'], 'Africa', '65 million', 'Tanzanian shilling', 'Swahili, English', 'It is home to Mount Kilimanjaro, Africa\'s highest peak.', 'TZA', 'Gold', '🇹🇿'],
-  ['Thailand', ['Bangkok', 'Chiang Mai', 'Phuket', 'Pattaya', 'Nonthaburi'], 'Asia', '71 million', 'Baht', 'Thai', 'It is the only Southeast Asian country never colonized by Europe.', 'THA', 'Computer Parts', '🇹🇭'],
-  ['Timor-Leste', ['Dili', 'Baucau', 'Maliana'], 'Asia', '1.3 million', 'US Dollar', 'Tetum, Portuguese', 'It was the first new sovereign state of the 21st century.', 'TLS', 'Crude Oil', '🇹🇱'],
-  ['Togo', ['Lomé', 'Sokodé', 'Kara', 'Kpalimé'], 'Africa', '8.8 million', 'West African CFA franc', 'French', 'Its capital, Lomé, is known for its grand markets.', 'TGO', 'Phosphates', '🇹🇬'],
-  ['Tokelau', ['Atafu', 'Nukunonu', 'Fakaofo'], 'Oceania', '1,500', 'New Zealand dollar', 'Tokelauan, English', 'It became the world\'s first 100% solar-powered nation.', 'TKL', 'Stamps', '🇹🇰'],
-  ['Tonga', ['Nuku\'alofa', 'Neiafu', 'Haveluloto'], 'Oceania', '106,000', 'Pa\'anga', 'Tongan, English', 'It is the only Pacific monarchy to retain its independence.', 'TON', 'Squash', '🇹🇴'],
-  ['Trinidad and Tobago', ['Port of Spain', 'San Fernando', 'Chaguanas', 'Arima'], 'North America', '1.5 million', 'Trinidad and Tobago dollar', 'English', 'It is the birthplace of the steelpan drum.', 'TTO', 'Natural Gas', '🇹🇹'],
-  ['Tunisia', ['Tunis', 'Sfax', 'Sousse', 'Kairouan'], 'Africa', '12 million', 'Tunisian dinar', 'Arabic', 'It was the location of the ancient city of Carthage.', 'TUN', 'Insulated Wire', '🇹🇳'],
-  ['Turkey', ['Istanbul', 'Ankara', 'Izmir', 'Bursa', 'Antalya', 'Adana'], 'Asia/Europe', '85 million', 'Turkish lira', 'Turkish', 'Istanbul sits on two continents.', 'TUR', 'Cars', '🇹🇷'],
-  ['Turkmenistan', ['Ashgabat', 'Türkmenabat', 'Daşoguz', 'Mary'], 'Asia', '6 million', 'Turkmen manat', 'Turkmen', 'It is home to the "Gates of Hell" gas crater.', 'TKM', 'Natural Gas', '🇹🇲'],
-  ['Turks and Caicos Islands', ['Cockburn Town', 'Providenciales'], 'North America', '45,000', 'US Dollar', 'English', 'It has the third largest barrier reef system in the world.', 'TCA', 'Lobster', '🇹🇨'],
-  ['Tuvalu', ['Funafuti'], 'Oceania', '11,000', 'Australian dollar', 'Tuvaluan, English', 'It receives income from the .tv internet domain.', 'TUV', 'Fish', '🇹🇻'],
-  ['Uganda', ['Kampala', 'Nansana', 'Kira', 'Mbarara'], 'Africa', '47 million', 'Ugandan shilling', 'English, Swahili', 'It is home to almost half of the world\'s mountain gorillas.', 'UGA', 'Gold', '🇺🇬'],
-  ['Ukraine', ['Kyiv', 'Kharkiv', 'Odesa', 'Dnipro', 'Lviv'], 'Europe', '38 million', 'Hryvnia', 'Ukrainian', 'It is often called the "Breadbasket of Europe".', 'UKR', 'Grain/Steel', '🇺🇦'],
-  ['United Arab Emirates', ['Dubai', 'Abu Dhabi', 'Sharjah', 'Al Ain'], 'Asia', '9.4 million', 'UAE dirham', 'Arabic', 'It is home to the world\'s tallest building, the Burj Khalifa.', 'ARE', 'Crude Oil', '🇦🇪'],
-  ['United Kingdom', ['London', 'Birmingham', 'Manchester', 'Glasgow', 'Edinburgh', 'Liverpool'], 'Europe', '67 million', 'Pound sterling', 'English', 'It has no written constitution.', 'GBR', 'Cars', '🇬🇧'],
-  ['United States Minor Outlying Islands', [], 'Oceania', '0', 'US Dollar', 'English', 'It consists mostly of uninhabited wildlife refuges.', 'UMI', 'None', '🇺🇲'],
-  ['United States', ['New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix', 'Philadelphia', 'San Antonio', 'San Diego', 'Dallas', 'San Jose'], 'North America', '333 million', 'US Dollar', 'English', 'It has the world\'s largest economy.', 'USA', 'Refined Petroleum', '🇺🇸'],
-  ['Uruguay', ['Montevideo', 'Salto', 'Ciudad de la Costa', 'Paysandú'], 'South America', '3.4 million', 'Uruguayan peso', 'Spanish', 'It won the first ever FIFA World Cup in 1930.', 'URY', 'Beef', '🇺🇾'],
-  ['Uzbekistan', ['Tashkent', 'Samarkand', 'Namangan', 'Andijan'], 'Asia', '35 million', 'Uzbek som', 'Uzbek', 'It is one of two doubly landlocked countries in the world.', 'UZB', 'Gold', '🇺🇿'],
-  ['Vanuatu', ['Port Vila', 'Luganville'], 'Oceania', '326,000', 'Vatu', 'Bislama, English, French', 'It is the birthplace of bungee jumping (land diving).', 'VUT', 'Fish', '🇻🇺'],
-  ['Venezuela', ['Caracas', 'Maracaibo', 'Valencia', 'Barquisimeto'], 'South America', '28 million', 'Bolívar', 'Spanish', 'It has the world\'s highest uninterrupted waterfall, Angel Falls.', 'VEN', 'Crude Oil', '🇻🇪'],
-  ['Vietnam', ['Ho Chi Minh City', 'Hanoi', 'Da Nang', 'Haiphong', 'Can Tho'], 'Asia', '98 million', 'Vietnamese dong', 'Vietnamese', 'It is the world\'s second largest coffee exporter.', 'VNM', 'Electronics', '🇻🇳'],
-  ['Virgin Islands (British)', ['Road Town', 'Spanish Town'], 'North America', '31,000', 'US Dollar', 'English', 'It is a popular yachting destination.', 'VGB', 'Rum', '🇻🇬'],
-  ['Virgin Islands (U.S.)', ['Charlotte Amalie', 'Christiansted', 'Frederiksted'], 'North America', '105,000', 'US Dollar', 'English', 'It is the only US territory where cars drive on the left.', 'VIR', 'Refined Petroleum', '🇻🇮'],
-  ['Wallis and Futuna', ['Mata-Utu', 'Alele', 'Falaleu'], 'Oceania', '11,000', 'CFP franc', 'French', 'It has three traditional kings recognized by France.', 'WLF', 'Coconuts', '🇼🇫'],
-  ['Western Sahara', ['Laayoune', 'Dakhla', 'Smara'], 'Africa', '600,000', 'Moroccan dirham', 'Arabic', 'It is a disputed territory with a phosphate-rich desert.', 'ESH', 'Phosphates', '🇪🇭'],
-  ['Yemen', ['Sana\'a', 'Aden', 'Taiz', 'Hodeidah'], 'Asia', '33 million', 'Yemeni rial', 'Arabic', 'It is home to the "Manhattan of the Desert" (Shibam).', 'YEM', 'Crude Oil', '🇾🇪'],
-  ['Zambia', ['Lusaka', 'Kitwe', 'Ndola', 'Kabwe'], 'Africa', '20 million', 'Zambian kwacha', 'English', 'It shares Victoria Falls with Zimbabwe.', 'ZMB', 'Copper', '🇿🇲'],
-  ['Zimbabwe', ['Harare', 'Bulawayo', 'Chitungwiza', 'Mutare'], 'Africa', '16 million', 'US Dollar (mostly)', 'Shona, Ndebele, English', 'It has one of the largest elephant populations in the world.', 'ZWE', 'Gold', '🇿🇼'],
-  ['Åland Islands', ['Mariehamn'], 'Europe', '30,000', 'Euro', 'Swedish', 'It is a demilitarized zone belonging to Finland.', 'ALA', 'Ships', '🇦🇽']
+  ['Afghanistan', 'Kabul', ['Kandahar', 'Herat', 'Mazar-i-Sharif', 'Jalalabad'], 'Asia', 41_000_000, ['Afghan afghani'], ['Pashto', 'Dari'], 'It is home to the Hindu Kush mountain range.', 'AFG', 'AF', 'Fruits/Nuts', '🇦🇫'],
+  ['Albania', 'Tirana', ['Durrës', 'Vlorë', 'Shkodër', 'Fier'], 'Europe', 2_800_000, ['Albanian lek'], ['Albanian'], 'It has hundreds of thousands of concrete bunkers from the communist era.', 'ALB', 'AL', 'Footwear', '🇦🇱'],
+  ['Algeria', 'Algiers', ['Oran', 'Constantine', 'Annaba', 'Blida'], 'Africa', 45_000_000, ['Algerian dinar'], ['Arabic', 'Berber'], 'It is the largest country in Africa by land area.', 'DZA', 'DZ', 'Petroleum/Gas', '🇩🇿'],
+  ['American Samoa', 'Pago Pago', ['Tafuna', 'Leone', 'Faleniu'], 'Oceania', 44_000, ['US Dollar'], ['English', 'Samoan'], 'It is the only US territory located south of the equator.', 'ASM', 'AS', 'Canned Tuna', '🇦🇸'],
+  ['Andorra', 'Andorra la Vella', ['Escaldes-Engordany', 'Encamp', 'Sant Julià de Lòria'], 'Europe', 79_000, ['Euro'], ['Catalan'], 'It is a co-principality headed by the Bishop of Urgell and the President of France.', 'AND', 'AD', 'Tobacco', '🇦🇩'],
+  ['Angola', 'Luanda', ['Huambo', 'Lobito', 'Lubango', 'Cabinda'], 'Africa', 35_000_000, ['Angolan kwanza'], ['Portuguese'], 'It has the giant sable antelope, which was thought to be extinct.', 'AGO', 'AO', 'Crude Oil', '🇦🇴'],
+  ['Anguilla', 'The Valley', ['Blowing Point', 'Sandy Ground'], 'North America', 15_000, ['East Caribbean dollar'], ['English'], 'It is known for its spectacular coral reefs and beaches.', 'AIA', 'AI', 'Lobster', '🇦🇮'],
+  ['Antarctica', null, ['McMurdo Station', 'Palmer Station', 'Amundsen-Scott'], 'Antarctica', 0, [], [], 'It holds about 90% of the world\'s fresh water (as ice).', 'ATA', 'AQ', 'Ice/Science', '🇦🇶'],
+  ['Antigua and Barbuda', 'St. John\'s', ['All Saints', 'Liberta', 'Potters Village'], 'North America', 99_000, ['East Caribbean dollar'], ['English'], 'It has a beach for every day of the year (365 beaches).', 'ATG', 'AG', 'Tourism', '🇦🇬'],
+  ['Argentina', 'Buenos Aires', ['Córdoba', 'Rosario', 'Mendoza', 'La Plata'], 'South America', 46_000_000, ['Argentine peso'], ['Spanish'], 'It is the birthplace of the tango dance.', 'ARG', 'AR', 'Soybeans', '🇦🇷'],
+  ['Armenia', 'Yerevan', ['Gyumri', 'Vanadzor', 'Vagharshapat'], 'Asia', 2_800_000, ['Armenian dram'], ['Armenian'], 'It was the first country to adopt Christianity as its official religion.', 'ARM', 'AM', 'Copper Ore', '🇦🇲'],
+  ['Aruba', 'Oranjestad', ['San Nicolas', 'Noord', 'Santa Cruz'], 'South America', 106_000, ['Aruban florin'], ['Dutch', 'Papiamento'], 'It is part of the Kingdom of the Netherlands but located in the Caribbean.', 'ABW', 'AW', 'Refined Petroleum', '🇦🇼'],
+  ['Australia', 'Canberra', ['Sydney', 'Melbourne', 'Brisbane', 'Perth', 'Adelaide'], 'Oceania', 26_000_000, ['Australian dollar'], ['English'], 'It is the only country that is also a continent.', 'AUS', 'AU', 'Iron Ore', '🇦🇺'],
+  ['Austria', 'Vienna', ['Graz', 'Linz', 'Salzburg', 'Innsbruck'], 'Europe', 9_000_000, ['Euro'], ['German'], 'It is the birthplace of Mozart and home to the Alps.', 'AUT', 'AT', 'Machinery', '🇦🇹'],
+  ['Azerbaijan', 'Baku', ['Ganja', 'Sumqayit', 'Mingachevir'], 'Asia', 10_000_000, ['Azerbaijani manat'], ['Azerbaijani'], 'It is known as the "Land of Fire" due to natural gas flares.', 'AZE', 'AZ', 'Crude Oil', '🇦🇿'],
+  ['Bahamas', 'Nassau', ['Freeport', 'West End', 'Coopers Town'], 'North America', 400_000, ['Bahamian dollar'], ['English'], 'It consists of over 700 islands and cays.', 'BHS', 'BS', 'Tourism', '🇧🇸'],
+  ['Bahrain', 'Manama', ['Riffa', 'Muharraq', 'Hamad Town'], 'Asia', 1_500_000, ['Bahraini dinar'], ['Arabic'], 'It was the site of the ancient Dilmun civilization.', 'BHR', 'BH', 'Refined Petroleum', '🇧🇭'],
+  ['Bangladesh', 'Dhaka', ['Chittagong', 'Khulna', 'Rajshahi', 'Sylhet'], 'Asia', 171_000_000, ['Bangladeshi taka'], ['Bengali'], 'It has the longest natural sea beach in the world (Cox\'s Bazar).', 'BGD', 'BD', 'Textiles', '🇧🇩'],
+  ['Barbados', 'Bridgetown', ['Speightstown', 'Oistins', 'Holetown'], 'North America', 281_000, ['Barbadian dollar'], ['English'], 'It is the easternmost island in the Caribbean.', 'BRB', 'BB', 'Hard Liquor', '🇧🇧'],
+  ['Belarus', 'Minsk', ['Gomel', 'Mogilev', 'Vitebsk'], 'Europe', 9_200_000, ['Belarusian ruble'], ['Belarusian', 'Russian'], 'About 40% of its territory is covered by forests.', 'BLR', 'BY', 'Potash Fertilizers', '🇧🇾'],
+  ['Belgium', 'Brussels', ['Antwerp', 'Ghent', 'Charleroi', 'Liège'], 'Europe', 11_600_000, ['Euro'], ['Dutch', 'French', 'German'], 'It is world-famous for its chocolate and waffles.', 'BEL', 'BE', 'Chemicals', '🇧🇪'],
+  ['Belize', 'Belmopan', ['Belize City', 'San Ignacio', 'Orange Walk Town'], 'North America', 405_000, ['Belize dollar'], ['English'], 'It has the second largest barrier reef in the world.', 'BLZ', 'BZ', 'Sugar', '🇧🇿'],
+  ['Benin', 'Porto-Novo', ['Cotonou', 'Parakou', 'Djougou'], 'Africa', 13_000_000, ['West African CFA franc'], ['French'], 'It is the birthplace of the Vodun (Voodoo) religion.', 'BEN', 'BJ', 'Cotton', '🇧🇯'],
+  ['Bermuda', 'Hamilton', ['St. George\'s', 'Somerset Village'], 'North America', 64_000, ['Bermudian dollar'], ['English'], 'It is famous for the mysterious "Bermuda Triangle" legend.', 'BMU', 'BM', 'Financial Services', '🇧🇲'],
+  ['Bhutan', 'Thimphu', ['Phuntsholing', 'Paro', 'Gelephu'], 'Asia', 787_000, ['Ngultrum'], ['Dzongkha'], 'It measures "Gross National Happiness" instead of GDP.', 'BTN', 'BT', 'Hydroelectricity', '🇧🇹'],
+  ['Bolivia', 'Sucre', ['Santa Cruz de la Sierra', 'El Alto', 'La Paz', 'Cochabamba'], 'South America', 12_000_000, ['Boliviano'], ['Spanish', 'Quechua', 'Aymara'], 'It is home to the world\'s largest salt flat, Salar de Uyuni.', 'BOL', 'BO', 'Natural Gas', '🇧🇴'],
+  ['Bosnia and Herzegovina', 'Sarajevo', ['Banja Luka', 'Tuzla', 'Zenica', 'Mostar'], 'Europe', 3_200_000, ['Convertible mark'], ['Bosnian', 'Croatian', 'Serbian'], 'It is nicknamed the "Heart Shaped Land" due to its shape.', 'BIH', 'BA', 'Metals', '🇧🇦'],
+  ['Botswana', 'Gaborone', ['Francistown', 'Molepolole', 'Maun'], 'Africa', 2_600_000, ['Pula'], ['English', 'Tswana'], 'It is home to the world\'s largest concentration of elephants.', 'BWA', 'BW', 'Diamonds', '🇧🇼'],
+  ['Bouvet Island', null, [], 'Antarctica', 0, ['Norwegian krone'], ['Norwegian'], 'It is the most remote island in the world.', 'BVT', 'BV', 'None', '🇧🇻'],
+  ['Brazil', 'Brasília', ['São Paulo', 'Rio de Janeiro', 'Salvador', 'Fortaleza'], 'South America', 215_000_000, ['Brazilian real'], ['Portuguese'], 'It contains the majority of the Amazon Rainforest.', 'BRA', 'BR', 'Soybeans', '🇧🇷'],
+  ['British Indian Ocean Territory', null, ['Diego Garcia'], 'Asia', 3_000, ['US Dollar'], ['English'], 'It serves primarily as a military base.', 'IOT', 'IO', 'Military', '🇮🇴'],
+  ['Brunei Darussalam', 'Bandar Seri Begawan', ['Kuala Belait', 'Seria', 'Tutong'], 'Asia', 450_000, ['Brunei dollar'], ['Malay'], 'It is an absolute monarchy ruled by a Sultan.', 'BRN', 'BN', 'Crude Oil', '🇧🇳'],
+  ['Bulgaria', 'Sofia', ['Plovdiv', 'Varna', 'Burgas', 'Ruse'], 'Europe', 6_500_000, ['Bulgarian lev'], ['Bulgarian'], 'It produces a significant portion of the world\'s rose oil.', 'BGR', 'BG', 'Refined Copper', '🇧🇬'],
+  ['Burkina Faso', 'Ouagadougou', ['Bobo-Dioulasso', 'Koudougou', 'Banfora'], 'Africa', 22_000_000, ['West African CFA franc'], ['French'], 'Its name means "Land of Incorruptible People".', 'BFA', 'BF', 'Gold', '🇧🇫'],
+  ['Burundi', 'Gitega', ['Bujumbura', 'Muyinga', 'Ngozi'], 'Africa', 13_000_000, ['Burundian franc'], ['Kirundi', 'French'], 'It is known for its drumming tradition, the Royal Drummers.', 'BDI', 'BI', 'Coffee', '🇧🇮'],
+  ['Cabo Verde', 'Praia', ['Mindelo', 'Espargos', 'Assomada'], 'Africa', 598_000, ['Cape Verdean escudo'], ['Portuguese'], 'It is an archipelago of 10 volcanic islands.', 'CPV', 'CV', 'Fish', '🇨🇻'],
+  ['Cambodia', 'Phnom Penh', ['Siem Reap', 'Battambang', 'Sihanoukville'], 'Asia', 16_700_000, ['Riel'], ['Khmer'], 'It is home to Angkor Wat, the largest religious monument in the world.', 'KHM', 'KH', 'Textiles', '🇰🇭'],
+  ['Cameroon', 'Yaoundé', ['Douala', 'Bamenda', 'Bafoussam'], 'Africa', 28_000_000, ['Central African CFA franc'], ['French', 'English'], 'It is often called "Africa in miniature" due to its diversity.', 'CMR', 'CM', 'Crude Oil', '🇨🇲'],
+  ['Canada', 'Ottawa', ['Toronto', 'Montreal', 'Vancouver', 'Calgary'], 'North America', 39_000_000, ['Canadian dollar'], ['English', 'French'], 'It has the longest coastline in the world.', 'CAN', 'CA', 'Crude Oil', '🇨🇦'],
+  ['Cayman Islands', 'George Town', ['West Bay', 'Bodden Town'], 'North America', 68_000, ['Cayman Islands dollar'], ['English'], 'It is a major world offshore financial center.', 'CYM', 'KY', 'Financial Services', '🇰🇾'],
+  ['Central African Republic', 'Bangui', ['Bimbo', 'Berbérati', 'Carnot'], 'Africa', 5_500_000, ['Central African CFA franc'], ['Sango', 'French'], 'It is home to forest elephants and lowland gorillas.', 'CAF', 'CF', 'Diamonds', '🇨🇫'],
+  ['Chad', 'N\'Djamena', ['Moundou', 'Sarh', 'Abéché'], 'Africa', 17_000_000, ['Central African CFA franc'], ['Arabic', 'French'], 'It is home to the Sahara Desert and Lake Chad.', 'TCD', 'TD', 'Crude Oil', '🇹🇩'],
+  ['Chile', 'Santiago', ['Valparaíso', 'Concepción', 'La Serena', 'Antofagasta'], 'South America', 19_600_000, ['Chilean peso'], ['Spanish'], 'It is the longest and narrowest country in the world.', 'CHL', 'CL', 'Copper', '🇨🇱'],
+  ['China', 'Beijing', ['Shanghai', 'Guangzhou', 'Shenzhen', 'Chengdu'], 'Asia', 1_400_000_000, ['Renminbi (Yuan)'], ['Standard Chinese'], 'It has the largest population in the world (historically).', 'CHN', 'CN', 'Electronics', '🇨🇳'],
+  ['Christmas Island', 'Flying Fish Cove', ['Poon Saan'], 'Oceania', 1_800, ['Australian dollar'], ['English'], 'It is famous for its annual red crab migration.', 'CXR', 'CX', 'Phosphate', '🇨🇽'],
+  ['Cocos (Keeling) Islands', 'West Island', ['Home Island'], 'Oceania', 600, ['Australian dollar'], ['English'], 'It consists of two atolls and 27 coral islands.', 'CCK', 'CC', 'Copra', '🇨🇨'],
+  ['Colombia', 'Bogotá', ['Medellín', 'Cali', 'Barranquilla', 'Cartagena'], 'South America', 52_000_000, ['Colombian peso'], ['Spanish'], 'It is the world\'s leading producer of emeralds.', 'COL', 'CO', 'Crude Oil', '🇨🇴'],
+  ['Comoros', 'Moroni', ['Mutsamudu', 'Fomboni'], 'Africa', 836_000, ['Comorian franc'], ['Comorian', 'Arabic', 'French'], 'It is known as the "Perfume Islands" due to ylang-ylang production.', 'COM', 'KM', 'Cloves/Vanilla', '🇰🇲'],
+  ['Congo', 'Brazzaville', ['Pointe-Noire', 'Dolisie', 'Nkayi'], 'Africa', 6_000_000, ['Central African CFA franc'], ['French'], 'It is often referred to as Congo-Brazzaville.', 'COG', 'CG', 'Crude Oil', '🇨🇬'],
+  ['Democratic Republic of the Congo', 'Kinshasa', ['Lubumbashi', 'Mbuji-Mayi', 'Kananga', 'Kisangani'], 'Africa', 99_000_000, ['Congolese franc'], ['French'], 'It is home to the second largest rainforest in the world.', 'COD', 'CD', 'Cobalt', '🇨🇩'],
+  ['Cook Islands', 'Avarua', ['Amuri', 'Omoka'], 'Oceania', 17_000, ['New Zealand dollar'], ['English', 'Cook Islands Māori'], 'It has a massive Exclusive Economic Zone of ocean.', 'COK', 'CK', 'Fish', '🇨🇰'],
+  ['Costa Rica', 'San José', ['Alajuela', 'Cartago', 'Heredia'], 'North America', 5_200_000, ['Costa Rican colón'], ['Spanish'], 'It has no standing army, having abolished it in 1948.', 'CRI', 'CR', 'Medical Instruments', '🇨🇷'],
+  ['Côte d\'Ivoire', 'Yamoussoukro', ['Abidjan', 'Bouaké', 'Daloa'], 'Africa', 28_000_000, ['West African CFA franc'], ['French'], 'It is the world\'s largest producer of cocoa beans.', 'CIV', 'CI', 'Cocoa Beans', '🇨🇮'],
+  ['Croatia', 'Zagreb', ['Split', 'Rijeka', 'Osijek', 'Zadar'], 'Europe', 3_900_000, ['Euro'], ['Croatian'], 'It invented the necktie (cravat).', 'HRV', 'HR', 'Refined Petroleum', '🇭🇷'],
+  ['Cuba', 'Havana', ['Santiago de Cuba', 'Camagüey', 'Holguín'], 'North America', 11_000_000, ['Cuban peso'], ['Spanish'], 'It is famous for its classic American cars and cigars.', 'CUB', 'CU', 'Tobacco', '🇨🇺'],
+  ['Curaçao', 'Willemstad', ['Sint Michiel', 'Barber'], 'South America', 150_000, ['Netherlands Antillean guilder'], ['Dutch', 'Papiamento', 'English'], 'Its capital features colorful Dutch colonial architecture.', 'CUW', 'CW', 'Refined Petroleum', '🇨🇼'],
+  ['Cyprus', 'Nicosia', ['Limassol', 'Larnaca', 'Paphos'], 'Europe', 1_200_000, ['Euro'], ['Greek', 'Turkish'], 'Legend says it is the birthplace of the goddess Aphrodite.', 'CYP', 'CY', 'Ships', '🇨🇾'],
+  ['Czechia', 'Prague', ['Brno', 'Ostrava', 'Plzeň', 'Liberec'], 'Europe', 10_500_000, ['Czech koruna'], ['Czech'], 'It has the most castles per square mile in the world.', 'CZE', 'CZ', 'Cars', '🇨🇿'],
+  ['Denmark', 'Copenhagen', ['Aarhus', 'Odense', 'Aalborg'], 'Europe', 5_900_000, ['Danish krone'], ['Danish'], 'It is the home of LEGO.', 'DNK', 'DK', 'Packaged Medicines', '🇩🇰'],
+  ['Djibouti', 'Djibouti City', ['Ali Sabieh', 'Dikhil'], 'Africa', 1_100_000, ['Djiboutian franc'], ['French', 'Arabic'], 'It hosts military bases from several world powers due to its strategic location.', 'DJI', 'DJ', 'Re-exports', '🇩🇯'],
+  ['Dominica', 'Roseau', ['Portsmouth', 'Marigot'], 'North America', 72_000, ['East Caribbean dollar'], ['English'], 'It is known as the "Nature Island of the Caribbean".', 'DMA', 'DM', 'Bananas', '🇩🇲'],
+  ['Dominican Republic', 'Santo Domingo', ['Santiago', 'La Romana', 'San Pedro de Macorís'], 'North America', 11_000_000, ['Dominican peso'], ['Spanish'], 'It shares the island of Hispaniola with Haiti.', 'DOM', 'DO', 'Gold', '🇩🇴'],
+  ['Ecuador', 'Quito', ['Guayaquil', 'Cuenca', 'Santo Domingo'], 'South America', 18_000_000, ['US Dollar'], ['Spanish'], 'It is named after the Equator, which runs through it.', 'ECU', 'EC', 'Crude Oil', '🇪🇨'],
+  ['Egypt', 'Cairo', ['Alexandria', 'Giza', 'Shubra El Kheima', 'Port Said'], 'Africa', 111_000_000, ['Egyptian pound'], ['Arabic'], 'It is home to the Great Pyramids of Giza.', 'EGY', 'EG', 'Refined Petroleum', '🇪🇬'],
+  ['El Salvador', 'San Salvador', ['Soyapango', 'Santa Ana', 'San Miguel'], 'North America', 6_300_000, ['US Dollar'], ['Spanish'], 'It is known as the "Land of Volcanoes".', 'SLV', 'SV', 'Textiles', '🇸🇻'],
+  ['Equatorial Guinea', 'Malabo', ['Bata', 'Ebebiyin'], 'Africa', 1_600_000, ['Central African CFA franc'], ['Spanish', 'French', 'Portuguese'], 'It is the only African country where Spanish is an official language.', 'GNQ', 'GQ', 'Crude Oil', '🇬🇶'],
+  ['Eritrea', 'Asmara', ['Keren', 'Massawa', 'Assab'], 'Africa', 3_700_000, ['Nakfa'], ['Tigrinya', 'Arabic', 'English'], 'Its capital is known for its well-preserved Art Deco architecture.', 'ERI', 'ER', 'Zinc Ore', '🇪🇷'],
+  ['Estonia', 'Tallinn', ['Tartu', 'Narva', 'Pärnu'], 'Europe', 1_300_000, ['Euro'], ['Estonian'], 'It is one of the world\'s most digitally advanced societies.', 'EST', 'EE', 'Broadcasting Equipment', '🇪🇪'],
+  ['Eswatini', 'Mbabane', ['Manzini', 'Big Bend'], 'Africa', 1_200_000, ['Lilangeni'], ['Swazi', 'English'], 'It is one of the last absolute monarchies in Africa.', 'SWZ', 'SZ', 'Scented Mixtures', '🇸🇿'],
+  ['Ethiopia', 'Addis Ababa', ['Dire Dawa', 'Mek\'ele', 'Gondar'], 'Africa', 123_000_000, ['Birr'], ['Amharic'], 'It is considered the birthplace of coffee.', 'ETH', 'ET', 'Coffee', '🇪🇹'],
+  ['Falkland Islands (Malvinas)', 'Stanley', [], 'South America', 3_700, ['Falkland Islands pound'], ['English'], 'It has far more sheep than people.', 'FLK', 'FK', 'Wool', '🇫🇰'],
+  ['Faroe Islands', 'Tórshavn', ['Klaksvík'], 'Europe', 53_000, ['Faroese króna'], ['Faroese', 'Danish'], 'It is an autonomous territory of Denmark with a strong Viking heritage.', 'FRO', 'FO', 'Fish', '🇫🇴'],
+  ['Fiji', 'Suva', ['Lautoka', 'Nadi', 'Labasa'], 'Oceania', 929_000, ['Fijian dollar'], ['English', 'Fijian'], 'It consists of over 300 islands in the South Pacific.', 'FJI', 'FJ', 'Water', '🇫🇯'],
+  ['Finland', 'Helsinki', ['Espoo', 'Tampere', 'Vantaa', 'Oulu'], 'Europe', 5_500_000, ['Euro'], ['Finnish', 'Swedish'], 'It has the most saunas per capita in the world.', 'FIN', 'FI', 'Paper/Wood', '🇫🇮'],
+  ['France', 'Paris', ['Marseille', 'Lyon', 'Toulouse', 'Nice'], 'Europe', 68_000_000, ['Euro'], ['French'], 'It is the most visited country in the world.', 'FRA', 'FR', 'Aircraft', '🇫🇷'],
+  ['French Guiana', 'Cayenne', ['Matoury', 'Saint-Laurent-du-Maroni'], 'South America', 300_000, ['Euro'], ['French'], 'It is home to the Guiana Space Centre, Europe\'s spaceport.', 'GUF', 'GF', 'Gold', '🇬🇫'],
+  ['French Polynesia', 'Papeete', ['Faa\'a', 'Punaauia'], 'Oceania', 280_000, ['CFP franc'], ['French'], 'It includes the famous island of Bora Bora.', 'PYF', 'PF', 'Pearls', '🇵🇫'],
+  ['French Southern Territories', 'Port-aux-Français', [], 'Antarctica', 0, ['Euro'], ['French'], 'It is a group of volcanic islands in the southern Indian Ocean.', 'ATF', 'TF', 'Science', '🇹🇫'],
+  ['Gabon', 'Libreville', ['Port-Gentil', 'Franceville'], 'Africa', 2_300_000, ['Central African CFA franc'], ['French'], 'Over 80% of the country is covered by rainforests.', 'GAB', 'GA', 'Crude Oil', '🇬🇦'],
+  ['Gambia', 'Banjul', ['Serekunda', 'Brikama', 'Bakau'], 'Africa', 2_700_000, ['Dalasi'], ['English'], 'It is the smallest country on the mainland African continent.', 'GMB', 'GM', 'Peanuts', '🇬🇲'],
+  ['Georgia', 'Tbilisi', ['Batumi', 'Kutaisi', 'Rustavi'], 'Asia', 3_700_000, ['Lari'], ['Georgian'], 'It is considered the birthplace of wine, making it for 8,000 years.', 'GEO', 'GE', 'Copper Ore', '🇬🇪'],
+  ['Germany', 'Berlin', ['Munich', 'Hamburg', 'Frankfurt', 'Cologne'], 'Europe', 84_000_000, ['Euro'], ['German'], 'It has over 1,000 types of sausages.', 'DEU', 'DE', 'Cars', '🇩🇪'],
+  ['Ghana', 'Accra', ['Kumasi', 'Tamale', 'Takoradi'], 'Africa', 33_000_000, ['Cedi'], ['English'], 'It was the first sub-Saharan country to gain independence from colonial rule.', 'GHA', 'GH', 'Gold', '🇬🇭'],
+  ['Gibraltar', 'Gibraltar', [], 'Europe', 34_000, ['Gibraltar pound'], ['English'], 'It is famous for the Rock of Gibraltar and its wild monkeys.', 'GIB', 'GI', 'Online Gaming', '🇬🇮'],
+  ['Greece', 'Athens', ['Thessaloniki', 'Patras', 'Heraklion', 'Larissa'], 'Europe', 10_400_000, ['Euro'], ['Greek'], 'It is considered the cradle of Western civilization.', 'GRC', 'GR', 'Refined Petroleum', '🇬🇷'],
+  ['Greenland', 'Nuuk', ['Sisimiut', 'Ilulissat'], 'North America', 56_000, ['Danish krone'], ['Greenlandic'], 'It is the world\'s largest island.', 'GRL', 'GL', 'Fish', '🇬🇱'],
+  ['Grenada', 'St. George\'s', ['Gouyave', 'Grenville'], 'North America', 125_000, ['East Caribbean dollar'], ['English'], 'It is known as the "Island of Spice" due to nutmeg production.', 'GRD', 'GD', 'Nutmeg', '🇬🇩'],
+  ['Guadeloupe', 'Basse-Terre', ['Les Abymes', 'Baie-Mahault', 'Le Gosier'], 'North America', 384_000, ['Euro'], ['French'], 'It is an overseas region of France shaped like a butterfly.', 'GLP', 'GP', 'Bananas', '🇬🇵'],
+  ['Guam', 'Hagåtña', ['Dededo', 'Yigo', 'Tamuning'], 'Oceania', 170_000, ['US Dollar'], ['English', 'Chamorro'], 'Its slogan is "Where America\'s Day Begins".', 'GUM', 'GU', 'Tourism/Military', '🇬🇺'],
+  ['Guatemala', 'Guatemala City', ['Mixco', 'Villa Nueva', 'Quetzaltenango'], 'North America', 18_000_000, ['Quetzal'], ['Spanish'], 'It is considered the heart of the Mayan world.', 'GTM', 'GT', 'Bananas', '🇬🇹'],
+  ['Guernsey', 'Saint Peter Port', [], 'Europe', 63_000, ['Guernsey pound'], ['English'], 'It is a Crown Dependency, not part of the UK.', 'GGY', 'GG', 'Financial Services', '🇬🇬'],
+  ['Guinea', 'Conakry', ['Nzérékoré', 'Kankan', 'Kindia'], 'Africa', 14_000_000, ['Guinean franc'], ['French'], 'It possesses the world\'s largest reserves of bauxite.', 'GIN', 'GN', 'Bauxite', '🇬🇳'],
+  ['Guinea-Bissau', 'Bissau', ['Bafatá', 'Gabú'], 'Africa', 2_000_000, ['West African CFA franc'], ['Portuguese'], 'It is home to the Bijagós Archipelago, a UNESCO biosphere reserve.', 'GNB', 'GW', 'Cashews', '🇬🇼'],
+  ['Guyana', 'Georgetown', ['Linden', 'New Amsterdam'], 'South America', 808_000, ['Guyanese dollar'], ['English'], 'It is the only English-speaking country in South America.', 'GUY', 'GY', 'Crude Oil', '🇬🇾'],
+  ['Haiti', 'Port-au-Prince', ['Carrefour', 'Delmas', 'Cap-Haïtien'], 'North America', 11_500_000, ['Gourde'], ['Haitian Creole', 'French'], 'It was the first independent black republic in the world.', 'HTI', 'HT', 'Textiles', '🇭🇹'],
+  ['Heard Island and McDonald Islands', null, [], 'Antarctica', 0, ['Australian dollar'], ['English'], 'It contains Australia\'s only active volcanoes.', 'HMD', 'HM', 'None', '🇭🇲'],
+  ['Holy See', 'Vatican City', [], 'Europe', 800, ['Euro'], ['Latin', 'Italian'], 'It is the smallest country in the world by both area and population.', 'VAT', 'VA', 'Tourism', '🇻🇦'],
+  ['Honduras', 'Tegucigalpa', ['San Pedro Sula', 'Choloma', 'La Ceiba'], 'North America', 10_000_000, ['Lempira'], ['Spanish'], 'It was the original "Banana Republic".', 'HND', 'HN', 'Textiles', '🇭🇳'],
+  ['Hong Kong', null, ['Kowloon', 'Victoria City', 'Sha Tin', 'Tuen Mun'], 'Asia', 7_400_000, ['Hong Kong dollar'], ['Chinese', 'English'], 'It has the most skyscrapers of any city in the world.', 'HKG', 'HK', 'Gold', '🇭🇰'],
+  ['Hungary', 'Budapest', ['Debrecen', 'Szeged', 'Miskolc'], 'Europe', 9_700_000, ['Forint'], ['Hungarian'], 'It is known for its thermal baths and spas.', 'HUN', 'HU', 'Cars', '🇭🇺'],
+  ['Iceland', 'Reykjavík', ['Kópavogur', 'Hafnarfjörður'], 'Europe', 376_000, ['Icelandic króna'], ['Icelandic'], 'It uses almost 100% renewable energy for electricity.', 'ISL', 'IS', 'Fish', '🇮🇸'],
+  ['India', 'New Delhi', ['Mumbai', 'Delhi', 'Bangalore', 'Hyderabad', 'Chennai', 'Kolkata'], 'Asia', 1_400_000_000, ['Indian rupee'], ['Hindi', 'English'], 'It gave the world the number zero.', 'IND', 'IN', 'Refined Petroleum', '🇮🇳'],
+  ['Indonesia', 'Jakarta', ['Surabaya', 'Bandung', 'Medan', 'Semarang'], 'Asia', 275_000_000, ['Indonesian rupiah'], ['Indonesian'], 'It is the world\'s largest archipelago country.', 'IDN', 'ID', 'Coal', '🇮🇩'],
+  ['Iran', 'Tehran', ['Mashhad', 'Isfahan', 'Karaj', 'Shiraz'], 'Asia', 88_000_000, ['Iranian rial'], ['Persian'], 'It is one of the world\'s oldest civilizations, formerly known as Persia.', 'IRN', 'IR', 'Crude Oil', '🇮🇷'],
+  ['Iraq', 'Baghdad', ['Basra', 'Mosul', 'Erbil', 'Najaf'], 'Asia', 44_000_000, ['Iraqi dinar'], ['Arabic', 'Kurdish'], 'It corresponds to ancient Mesopotamia, the "Cradle of Civilization".', 'IRQ', 'IQ', 'Crude Oil', '🇮🇶'],
+  ['Ireland', 'Dublin', ['Cork', 'Limerick', 'Galway', 'Waterford'], 'Europe', 5_000_000, ['Euro'], ['Irish', 'English'], 'It is known as the "Emerald Isle" due to its greenery.', 'IRL', 'IE', 'Pharmaceuticals', '🇮🇪'],
+  ['Isle of Man', 'Douglas', ['Ramsey', 'Peel'], 'Europe', 84_000, ['Manx pound'], ['English', 'Manx'], 'It is famous for the TT motorcycle race.', 'IMN', 'IM', 'Financial Services', '🇮🇲'],
+  ['Israel', 'Jerusalem', ['Tel Aviv', 'Haifa', 'Rishon LeZion'], 'Asia', 9_500_000, ['New Shekel'], ['Hebrew'], 'It has the highest number of museums per capita.', 'ISR', 'IL', 'Diamonds', '🇮🇱'],
+  ['Italy', 'Rome', ['Milan', 'Naples', 'Turin', 'Palermo'], 'Europe', 59_000_000, ['Euro'], ['Italian'], 'It has the most UNESCO World Heritage Sites.', 'ITA', 'IT', 'Packaged Medicines', '🇮🇹'],
+  ['Jamaica', 'Kingston', ['Portmore', 'Spanish Town', 'Montego Bay'], 'North America', 2_800_000, ['Jamaican dollar'], ['English'], 'It is the birthplace of Reggae music and Bob Marley.', 'JAM', 'JM', 'Bauxite', '🇯🇲'],
+  ['Japan', 'Tokyo', ['Yokohama', 'Osaka', 'Nagoya', 'Sapporo'], 'Asia', 125_000_000, ['Japanese yen'], ['Japanese'], 'It has the highest life expectancy in the world.', 'JPN', 'JP', 'Cars', '🇯🇵'],
+  ['Jersey', 'Saint Helier', [], 'Europe', 100_000, ['Jersey pound'], ['English'], 'It is the largest of the Channel Islands.', 'JEY', 'JE', 'Financial Services', '🇯🇪'],
+  ['Jordan', 'Amman', ['Zarqa', 'Irbid', 'Russeifa'], 'Asia', 11_000_000, ['Jordanian dinar'], ['Arabic'], 'It is home to Petra, a city carved into rock.', 'JOR', 'JO', 'Potash', '🇯🇴'],
+  ['Kazakhstan', 'Astana', ['Almaty', 'Shymkent', 'Karaganda'], 'Asia', 19_000_000, ['Tenge'], ['Kazakh', 'Russian'], 'It is the largest landlocked country in the world.', 'KAZ', 'KZ', 'Crude Oil', '🇰🇿'],
+  ['Kenya', 'Nairobi', ['Mombasa', 'Kisumu', 'Nakuru'], 'Africa', 54_000_000, ['Kenyan shilling'], ['Swahili', 'English'], 'It is famous for the Great Migration of wildebeest.', 'KEN', 'KE', 'Tea', '🇰🇪'],
+  ['Kiribati', 'Tarawa', ['Betio', 'Bikenibeu'], 'Oceania', 131_000, ['Australian dollar'], ['English', 'Gilbertese'], 'It is the only country situated in all four hemispheres.', 'KIR', 'KI', 'Fish', '🇰🇮'],
+  ['North Korea', 'Pyongyang', ['Hamhung', 'Chongjin', 'Nampo'], 'Asia', 26_000_000, ['North Korean won'], ['Korean'], 'It has the largest stadium in the world by capacity.', 'PRK', 'KP', 'Coal', '🇰🇵'],
+  ['South Korea', 'Seoul', ['Busan', 'Incheon', 'Daegu', 'Daejeon'], 'Asia', 51_000_000, ['South Korean won'], ['Korean'], 'It has the fastest internet speeds in the world.', 'KOR', 'KR', 'Integrated Circuits', '🇰🇷'],
+  ['Kuwait', 'Kuwait City', ['Al Ahmadi', 'Hawalli', 'Salmiya'], 'Asia', 4_200_000, ['Kuwaiti dinar'], ['Arabic'], 'Its currency is the highest valued in the world.', 'KWT', 'KW', 'Crude Oil', '🇰🇼'],
+  ['Kyrgyzstan', 'Bishkek', ['Osh', 'Jalal-Abad'], 'Asia', 6_600_000, ['Som'], ['Kyrgyz', 'Russian'], 'It is incredibly mountainous, dominated by the Tian Shan.', 'KGZ', 'KG', 'Gold', '🇰🇬'],
+  ['Laos', 'Vientiane', ['Pakse', 'Savannakhet', 'Luang Prabang'], 'Asia', 7_500_000, ['Kip'], ['Lao'], 'It is the most heavily bombed country in history per capita.', 'LAO', 'LA', 'Electricity', '🇱🇦'],
+  ['Latvia', 'Riga', ['Daugavpils', 'Liepāja', 'Jelgava'], 'Europe', 1_900_000, ['Euro'], ['Latvian'], 'It has one of the widest waterfalls in Europe, Ventas Rumba.', 'LVA', 'LV', 'Wood', '🇱🇻'],
+  ['Lebanon', 'Beirut', ['Tripoli', 'Sidon', 'Tyre'], 'Asia', 5_500_000, ['Lebanese pound'], ['Arabic'], 'It is the only Middle Eastern country without a desert.', 'LBN', 'LB', 'Gold', '🇱🇧'],
+  ['Lesotho', 'Maseru', ['Teyateyaneng', 'Mafeteng'], 'Africa', 2_300_000, ['Loti'], ['Sotho', 'English'], 'It is the only independent state entirely above 1,000m in elevation.', 'LSO', 'LS', 'Diamonds', '🇱🇸'],
+  ['Liberia', 'Monrovia', ['Gbarnga', 'Buchanan', 'Ganta'], 'Africa', 5_300_000, ['Liberian dollar'], ['English'], 'It was founded by freed slaves from the United States.', 'LBR', 'LR', 'Gold/Rubber', '🇱🇷'],
+  ['Libya', 'Tripoli', ['Benghazi', 'Misrata', 'Bayda'], 'Africa', 6_800_000, ['Libyan dinar'], ['Arabic'], 'It was home to the ancient city of Leptis Magna.', 'LBY', 'LY', 'Crude Oil', '🇱🇾'],
+  ['Liechtenstein', 'Vaduz', ['Schaan', 'Triesen'], 'Europe', 39_000, ['Swiss franc'], ['German'], 'It is one of only two doubly landlocked countries.', 'LIE', 'LI', 'Specialized Machinery', '🇱🇮'],
+  ['Lithuania', 'Vilnius', ['Kaunas', 'Klaipėda', 'Šiauliai'], 'Europe', 2_800_000, ['Euro'], ['Lithuanian'], 'It was the first Soviet republic to declare independence.', 'LTU', 'LT', 'Refined Petroleum', '🇱🇹'],
+  ['Luxembourg', 'Luxembourg City', ['Esch-sur-Alzette', 'Dudelange'], 'Europe', 650_000, ['Euro'], ['Luxembourgish', 'French', 'German'], 'It has the highest GDP per capita in the world.', 'LUX', 'LU', 'Iron/Steel', '🇱🇺'],
+  ['Macao', null, ['Macau'], 'Asia', 680_000, ['Pataca'], ['Chinese', 'Portuguese'], 'It is known as the "Las Vegas of Asia".', 'MAC', 'MO', 'Gambling/Tourism', '🇲🇴'],
+  ['Madagascar', 'Antananarivo', ['Toamasina', 'Antsirabe', 'Fianarantsoa'], 'Africa', 29_000_000, ['Ariary'], ['Malagasy', 'French'], '90% of its wildlife is found nowhere else on Earth.', 'MDG', 'MG', 'Vanilla', '🇲🇬'],
+  ['Malawi', 'Lilongwe', ['Blantyre', 'Mzuzu', 'Zomba'], 'Africa', 20_000_000, ['Malawian kwacha'], ['English', 'Chewa'], 'It is nicknamed "The Warm Heart of Africa".', 'MWI', 'MW', 'Tobacco', '🇲🇼'],
+  ['Malaysia', 'Kuala Lumpur', ['George Town', 'Ipoh', 'Shah Alam', 'Johor Bahru'], 'Asia', 33_000_000, ['Ringgit'], ['Malay'], 'It is home to the Petronas Towers, once the world\'s tallest buildings.', 'MYS', 'MY', 'Integrated Circuits', '🇲🇾'],
+  ['Maldives', 'Malé', ['Addu City', 'Fuvahmulah'], 'Asia', 540_000, ['Rufiyaa'], ['Dhivehi'], 'It is the lowest country in the world by average elevation.', 'MDV', 'MV', 'Fish', '🇲🇻'],
+  ['Mali', 'Bamako', ['Sikasso', 'Kalabancoro', 'Koutiala'], 'Africa', 22_000_000, ['West African CFA franc'], ['Bambara', 'French'], 'It was home to the wealthy Mansa Musa and Timbuktu.', 'MLI', 'ML', 'Gold', '🇲🇱'],
+  ['Malta', 'Valletta', ['Birkirkara', 'Mosta', 'St. Paul\'s Bay'], 'Europe', 530_000, ['Euro'], ['Maltese', 'English'], 'Its capital, Valletta, is a UNESCO World Heritage site.', 'MLT', 'MT', 'Integrated Circuits', '🇲🇹'],
+  ['Marshall Islands', 'Majuro', ['Ebeye'], 'Oceania', 41_000, ['US Dollar'], ['English', 'Marshallese'], 'It is composed entirely of coral atolls.', 'MHL', 'MH', 'Ships', '🇲🇭'],
+  ['Martinique', 'Fort-de-France', ['Le Lamentin', 'Le Robert'], 'North America', 375_000, ['Euro'], ['French'], 'It is known as the "Isle of Flowers".', 'MTQ', 'MQ', 'Refined Petroleum', '🇲🇶'],
+  ['Mauritania', 'Nouakchott', ['Nouadhibou', 'Kiffa'], 'Africa', 4_700_000, ['Ouguiya'], ['Arabic'], 'It has the Eye of the Sahara, a massive circular geological feature.', 'MRT', 'MR', 'Iron Ore', '🇲🇷'],
+  ['Mauritius', 'Port Louis', ['Beau Bassin-Rose Hill', 'Vacoas-Phoenix'], 'Africa', 1_300_000, ['Mauritian rupee'], ['English', 'French'], 'It was the only known home of the Dodo bird.', 'MUS', 'MU', 'Fish', '🇲🇺'],
+  ['Mayotte', 'Mamoudzou', ['Koungou'], 'Africa', 326_000, ['Euro'], ['French'], 'It is an overseas department of France in the Indian Ocean.', 'MYT', 'YT', 'Perfume Plants', '🇾🇹'],
+  ['Mexico', 'Mexico City', ['Guadalajara', 'Monterrey', 'Puebla', 'Tijuana'], 'North America', 127_000_000, ['Mexican peso'], ['Spanish'], 'It introduced chocolate, corn, and chilies to the world.', 'MEX', 'MX', 'Cars', '🇲🇽'],
+  ['Micronesia', 'Palikir', ['Weno', 'Colonia'], 'Oceania', 115_000, ['US Dollar'], ['English'], 'It is spread across the western Pacific Ocean comprising 607 islands.', 'FSM', 'FM', 'Fish', '🇫🇲'],
+  ['Moldova', 'Chisinau', ['Balti', 'Tiraspol', 'Bender'], 'Europe', 2_500_000, ['Moldovan leu'], ['Romanian'], 'It has the largest wine cellar in the world by number of bottles.', 'MDA', 'MD', 'Corn/Wine', '🇲🇩'],
+  ['Monaco', 'Monaco', ['Monte Carlo', 'La Condamine'], 'Europe', 36_000, ['Euro'], ['French'], 'It is the second smallest country in the world.', 'MCO', 'MC', 'Cosmetics', '🇲🇨'],
+  ['Mongolia', 'Ulaanbaatar', ['Erdenet', 'Darkhan'], 'Asia', 3_400_000, ['Tögrög'], ['Mongolian'], 'It is the most sparsely populated sovereign nation.', 'MNG', 'MN', 'Copper Ore', '🇲🇳'],
+  ['Montenegro', 'Podgorica', ['Nikšić', 'Herceg Novi'], 'Europe', 619_000, ['Euro'], ['Montenegrin'], 'Its name means "Black Mountain".', 'MNE', 'ME', 'Aluminum', '🇲🇪'],
+  ['Montserrat', 'Brades', ['Plymouth'], 'North America', 4_300, ['East Caribbean dollar'], ['English'], 'Its former capital was buried by a volcanic eruption.', 'MSR', 'MS', 'Sand', '🇲🇸'],
+  ['Morocco', 'Rabat', ['Casablanca', 'Fes', 'Tangier', 'Marrakesh'], 'Africa', 37_000_000, ['Moroccan dirham'], ['Arabic', 'Berber'], 'It is home to the oldest university in the world, Al Quaraouiyine.', 'MAR', 'MA', 'Phosphates/Fertilizers', '🇲🇦'],
+  ['Mozambique', 'Maputo', ['Matola', 'Beira', 'Nampula'], 'Africa', 32_000_000, ['Metical'], ['Portuguese'], 'Its flag is the only one to feature a modern assault rifle.', 'MOZ', 'MZ', 'Coal', '🇲🇿'],
+  ['Myanmar', 'Naypyidaw', ['Yangon', 'Mandalay', 'Mawlamyine'], 'Asia', 54_000_000, ['Kyat'], ['Burmese'], 'It is known as the "Land of Golden Pagodas".', 'MMR', 'MM', 'Natural Gas', '🇲🇲'],
+  ['Namibia', 'Windhoek', ['Rundu', 'Walvis Bay'], 'Africa', 2_500_000, ['Namibian dollar'], ['English'], 'It has the oldest desert in the world, the Namib.', 'NAM', 'NA', 'Diamonds', '🇳🇦'],
+  ['Nauru', 'Yaren', ['Denigomodu', 'Meneng'], 'Oceania', 12_000, ['Australian dollar'], ['Nauruan', 'English'], 'It is the smallest island nation and has no official capital.', 'NRU', 'NR', 'Fish', '🇳🇷'],
+  ['Nepal', 'Kathmandu', ['Pokhara', 'Lalitpur', 'Biratnagar'], 'Asia', 30_000_000, ['Nepalese rupee'], ['Nepali'], 'It is the only country with a non-rectangular flag.', 'NPL', 'NP', 'Carpets', '🇳🇵'],
+  ['Netherlands', 'Amsterdam', ['Rotterdam', 'The Hague', 'Utrecht'], 'Europe', 17_700_000, ['Euro'], ['Dutch'], 'About 26% of its land is below sea level.', 'NLD', 'NL', 'Refined Petroleum', '🇳🇱'],
+  ['New Caledonia', 'Nouméa', ['Dumbéa', 'Le Mont-Dore'], 'Oceania', 290_000, ['CFP franc'], ['French'], 'It has the largest lagoon in the world.', 'NCL', 'NC', 'Nickel', '🇳🇨'],
+  ['New Zealand', 'Wellington', ['Auckland', 'Christchurch', 'Hamilton'], 'Oceania', 5_100_000, ['New Zealand dollar'], ['English', 'Māori'], 'It was the filming location for The Lord of the Rings.', 'NZL', 'NZ', 'Dairy/Lamb', '🇳🇿'],
+  ['Nicaragua', 'Managua', ['León', 'Masaya', 'Matagalpa'], 'North America', 6_900_000, ['Córdoba'], ['Spanish'], 'It has the largest freshwater lake in Central America.', 'NIC', 'NI', 'Coffee', '🇳🇮'],
+  ['Niger', 'Niamey', ['Maradi', 'Zinder', 'Tahoua'], 'Africa', 26_000_000, ['West African CFA franc'], ['French'], 'It is named after the Niger River.', 'NER', 'NE', 'Uranium', '🇳🇪'],
+  ['Nigeria', 'Abuja', ['Lagos', 'Kano', 'Ibadan', 'Port Harcourt'], 'Africa', 218_000_000, ['Naira'], ['English'], 'It is the most populous country in Africa.', 'NGA', 'NG', 'Crude Oil', '🇳🇬'],
+  ['Niue', 'Alofi', [], 'Oceania', 1_600, ['New Zealand dollar'], ['Niuean', 'English'], 'It is the world\'s first "Dark Sky Nation".', 'NIU', 'NU', 'Fish', '🇳🇺'],
+  ['Norfolk Island', 'Kingston', ['Burnt Pine'], 'Oceania', 2_000, ['Australian dollar'], ['English', 'Norfuk'], 'It is known for its iconic pine trees.', 'NFK', 'NF', 'Seeds', '🇳🇫'],
+  ['North Macedonia', 'Skopje', ['Bitola', 'Kumanovo', 'Prilep'], 'Europe', 1_800_000, ['Denar'], ['Macedonian'], 'It is the birthplace of Mother Teresa.', 'MKD', 'MK', 'Chemicals', '🇲🇰'],
+  ['Northern Mariana Islands', 'Saipan', ['Tinian', 'Rota'], 'Oceania', 49_000, ['US Dollar'], ['English', 'Chamorro'], 'It includes the Mariana Trench, the deepest point on Earth.', 'MNP', 'MP', 'Tourism', '🇲🇵'],
+  ['Norway', 'Oslo', ['Bergen', 'Trondheim', 'Stavanger'], 'Europe', 5_400_000, ['Norwegian krone'], ['Norwegian'], 'It knighted a penguin named Sir Nils Olav.', 'NOR', 'NO', 'Crude Oil/Gas', '🇳🇴'],
+  ['Oman', 'Muscat', ['Seeb', 'Salalah', 'Bawshar'], 'Asia', 4_500_000, ['Omani rial'], ['Arabic'], 'It is the oldest independent state in the Arab world.', 'OMN', 'OM', 'Crude Oil', '🇴🇲'],
+  ['Pakistan', 'Islamabad', ['Karachi', 'Lahore', 'Faisalabad', 'Rawalpindi'], 'Asia', 235_000_000, ['Pakistani rupee'], ['Urdu', 'English'], 'It has the second highest mountain, K2.', 'PAK', 'PK', 'Textiles', '🇵🇰'],
+  ['Palau', 'Ngerulmud', ['Koror', 'Airai'], 'Oceania', 18_000, ['US Dollar'], ['Palauan', 'English'], 'It created the world\'s first shark sanctuary.', 'PLW', 'PW', 'Fish', '🇵🇼'],
+  ['Palestine', 'Ramallah', ['Gaza City', 'East Jerusalem', 'Hebron', 'Nablus'], 'Asia', 5_300_000, ['Shekel', 'Dinar'], ['Arabic'], 'It contains Jericho, one of the oldest inhabited cities.', 'PSE', 'PS', 'Stone/Olives', '🇵🇸'],
+  ['Panama', 'Panama City', ['San Miguelito', 'Tocumen', 'David'], 'North America', 4_400_000, ['Balboa', 'US Dollar'], ['Spanish'], 'It is the only place where you can see the sun rise on the Pacific and set on the Atlantic.', 'PAN', 'PA', 'Refined Petroleum', '🇵🇦'],
+  ['Papua New Guinea', 'Port Moresby', ['Lae', 'Arawa', 'Mount Hagen'], 'Oceania', 10_000_000, ['Kina'], ['English', 'Tok Pisin'], 'It has over 800 distinct languages spoken.', 'PNG', 'PG', 'Gold/LNG', '🇵🇬'],
+  ['Paraguay', 'Asunción', ['Ciudad del Este', 'Luque', 'San Lorenzo'], 'South America', 6_700_000, ['Guaraní'], ['Spanish', 'Guaraní'], 'It generates almost 100% of its electricity from hydropower.', 'PRY', 'PY', 'Electricity', '🇵🇾'],
+  ['Peru', 'Lima', ['Arequipa', 'Trujillo', 'Chiclayo', 'Cusco'], 'South America', 34_000_000, ['Sol'], ['Spanish'], 'It is home to Machu Picchu, the Lost City of the Incas.', 'PER', 'PE', 'Copper Ore', '🇵🇪'],
+  ['Philippines', 'Manila', ['Quezon City', 'Davao City', 'Cebu City', 'Zamboanga City'], 'Asia', 115_000_000, ['Philippine peso'], ['Filipino', 'English'], 'It is composed of over 7,600 islands.', 'PHL', 'PH', 'Integrated Circuits', '🇵🇭'],
+  ['Pitcairn', 'Adamstown', [], 'Oceania', 50, ['New Zealand dollar'], ['English', 'Pitkern'], 'It is inhabited by descendants of the HMS Bounty mutineers.', 'PCN', 'PN', 'Honey', '🇵🇳'],
+  ['Poland', 'Warsaw', ['Kraków', 'Łódź', 'Wrocław', 'Poznań'], 'Europe', 37_000_000, ['Złoty'], ['Polish'], 'It is home to the world\'s biggest castle by land area (Malbork).', 'POL', 'PL', 'Vehicle Parts', '🇵🇱'],
+  ['Portugal', 'Lisbon', ['Porto', 'Vila Nova de Gaia', 'Amadora'], 'Europe', 10_300_000, ['Euro'], ['Portuguese'], 'It is the oldest nation-state on the Iberian Peninsula.', 'PRT', 'PT', 'Cars', '🇵🇹'],
+  ['Puerto Rico', 'San Juan', ['Bayamón', 'Carolina', 'Ponce'], 'North America', 3_200_000, ['US Dollar'], ['Spanish', 'English'], 'It is home to the Coquí frog, a national symbol.', 'PRI', 'PR', 'Pharmaceuticals', '🇵🇷'],
+  ['Qatar', 'Doha', ['Al Rayyan', 'Umm Salal', 'Al Wakrah'], 'Asia', 2_700_000, ['Qatari riyal'], ['Arabic'], 'It has the highest GDP per capita in the world (PPP).', 'QAT', 'QA', 'Natural Gas', '🇶🇦'],
+  ['Romania', 'Bucharest', ['Cluj-Napoca', 'Timișoara', 'Iași'], 'Europe', 19_000_000, ['Romanian leu'], ['Romanian'], 'It is home to the legend of Dracula (Transylvania).', 'ROU', 'RO', 'Vehicle Parts', '🇷🇴'],
+  ['Russia', 'Moscow', ['Saint Petersburg', 'Novosibirsk', 'Yekaterinburg', 'Kazan'], 'Europe/Asia', 144_000_000, ['Russian ruble'], ['Russian'], 'It is the largest country in the world by land area.', 'RUS', 'RU', 'Oil/Gas', '🇷🇺'],
+  ['Rwanda', 'Kigali', ['Butare', 'Gitarama', 'Ruhengeri'], 'Africa', 13_700_000, ['Rwandan franc'], ['Kinyarwanda', 'English', 'French'], 'It is known as the "Land of a Thousand Hills".', 'RWA', 'RW', 'Gold', '🇷🇼'],
+  ['Réunion', 'Saint-Denis', ['Saint-Paul', 'Saint-Pierre'], 'Africa', 860_000, ['Euro'], ['French'], 'It holds the world record for most rainfall in 12/24 hours.', 'REU', 'RE', 'Sugar', '🇷🇪'],
+  ['Saint Barthélemy', 'Gustavia', [], 'North America', 10_000, ['Euro'], ['French'], 'It is a luxury destination often called St. Barts.', 'BLM', 'BL', 'Tourism', '🇧🇱'],
+  ['Saint Helena, Ascension and Tristan da Cunha', 'Jamestown', ['Georgetown', 'Edinburgh of the Seven Seas'], 'Africa', 5_000, ['Saint Helena pound'], ['English'], 'It was the place of Napoleon Bonaparte\'s exile.', 'SHN', 'SH', 'Fish', '🇸🇭'],
+  ['Saint Kitts and Nevis', 'Basseterre', ['Charlestown'], 'North America', 47_000, ['East Caribbean dollar'], ['English'], 'It is the smallest sovereign state in the Western Hemisphere.', 'KNA', 'KN', 'Broadcasting Equipment', '🇰🇳'],
+  ['Saint Lucia', 'Castries', ['Gros Islet', 'Vieux Fort'], 'North America', 180_000, ['East Caribbean dollar'], ['English'], 'It is the only country named after a woman.', 'LCA', 'LC', 'Refined Petroleum', '🇱🇨'],
+  ['Saint Martin (French part)', 'Marigot', [], 'North America', 32_000, ['Euro'], ['French'], 'It shares an island with Sint Maarten (Netherlands).', 'MAF', 'MF', 'Tourism', '🇲🇫'],
+  ['Saint Pierre and Miquelon', 'Saint-Pierre', ['Miquelon-Langlade'], 'North America', 6_000, ['Euro'], ['French'], 'It is the last remnant of New France in North America.', 'SPM', 'PM', 'Fish', '🇵🇲'],
+  ['Saint Vincent and the Grenadines', 'Kingstown', ['Georgetown'], 'North America', 104_000, ['East Caribbean dollar'], ['English'], 'It was a major filming location for Pirates of the Caribbean.', 'VCT', 'VC', 'Pleasure Boats', '🇻🇨'],
+  ['Samoa', 'Apia', ['Vaitele', 'Faleasiu'], 'Oceania', 220_000, ['Tālā'], ['Samoan', 'English'], 'In 2011, it skipped a day to switch time zones.', 'WSM', 'WS', 'Insulated Wire', '🇼🇸'],
+  ['San Marino', 'San Marino', ['Serravalle', 'Borgo Maggiore'], 'Europe', 33_000, ['Euro'], ['Italian'], 'It is the world\'s oldest surviving republic.', 'SMR', 'SM', 'Washing Machines', '🇸🇲'],
+  ['Sao Tome and Principe', 'São Tomé', ['Trindade'], 'Africa', 227_000, ['Dobra'], ['Portuguese'], 'It was one of the first countries to grow cocoa.', 'STP', 'ST', 'Cocoa Beans', '🇸🇹'],
+  ['Saudi Arabia', 'Riyadh', ['Jeddah', 'Mecca', 'Medina', 'Dammam'], 'Asia', 36_000_000, ['Saudi riyal'], ['Arabic'], 'It is the largest country in the world without a river.', 'SAU', 'SA', 'Crude Oil', '🇸🇦'],
+  ['Senegal', 'Dakar', ['Touba', 'Thiès', 'Rufisque'], 'Africa', 17_000_000, ['West African CFA franc'], ['French', 'Wolof'], 'It is the westernmost point of the African mainland.', 'SEN', 'SN', 'Fish/Gold', '🇸🇳'],
+  ['Serbia', 'Belgrade', ['Novi Sad', 'Niš', 'Kragujevac'], 'Europe', 6_800_000, ['Serbian dinar'], ['Serbian'], 'It is one of the world\'s leading raspberry exporters.', 'SRB', 'RS', 'Insulated Wire', '🇷🇸'],
+  ['Seychelles', 'Victoria', ['Anse Etoile'], 'Africa', 100_000, ['Seychellois rupee'], ['Seychellois Creole', 'English', 'French'], 'It is home to the Coco de Mer, the largest seed in the world.', 'SYC', 'SC', 'Boats', '🇸🇨'],
+  ['Sierra Leone', 'Freetown', ['Bo', 'Kenema', 'Makeni'], 'Africa', 8_600_000, ['Leone'], ['English'], 'Its name means "Lion Mountains".', 'SLE', 'SL', 'Titanium Ore', '🇸🇱'],
+  ['Singapore', 'Singapore', [], 'Asia', 5_600_000, ['Singapore dollar'], ['English', 'Malay', 'Chinese'], 'It is a city-state and the only island city-country.', 'SGP', 'SG', 'Refined Petroleum', '🇸🇬'],
+  ['Sint Maarten (Dutch part)', 'Philipsburg', ['Lower Prince\'s Quarter'], 'North America', 44_000, ['Neth. Antillean guilder'], ['Dutch', 'English'], 'Its airport is famous for planes flying low over the beach.', 'SXM', 'SX', 'Tourism', '🇸🇽'],
+  ['Slovakia', 'Bratislava', ['Košice', 'Prešov', 'Žilina'], 'Europe', 5_400_000, ['Euro'], ['Slovak'], 'It has the highest number of castles and chateaux per capita.', 'SVK', 'SK', 'Cars', '🇸🇰'],
+  ['Slovenia', 'Ljubljana', ['Maribor', 'Celje', 'Kranj'], 'Europe', 2_100_000, ['Euro'], ['Slovene'], 'It is the only country with "LOVE" in its name.', 'SVN', 'SI', 'Packaged Medicines', '🇸🇮'],
+  ['Solomon Islands', 'Honiara', ['Gizo', 'Auki'], 'Oceania', 724_000, ['Solomon Islands dollar'], ['English'], 'It was a major theatre of the Pacific War in WWII.', 'SLB', 'SB', 'Timber', '🇸🇧'],
+  ['Somalia', 'Mogadishu', ['Hargeisa', 'Bosaso', 'Galkayo'], 'Africa', 17_000_000, ['Somali shilling'], ['Somali', 'Arabic'], 'It has the longest coastline on mainland Africa.', 'SOM', 'SO', 'Livestock', '🇸🇴'],
+  ['South Africa', 'Pretoria', ['Johannesburg', 'Cape Town', 'Durban', 'Gqeberha'], 'Africa', 60_000_000, ['Rand'], ['Zulu', 'Xhosa', 'Afrikaans', 'English'], 'It has three capital cities.', 'ZAF', 'ZA', 'Platinum/Gold', '🇿🇦'],
+  ['South Georgia and the South Sandwich Islands', 'King Edward Point', ['Grytviken'], 'Antarctica', 0, ['Pound sterling'], ['English'], 'It is the final resting place of explorer Ernest Shackleton.', 'SGS', 'GS', 'Fish', '🇬🇸'],
+  ['South Sudan', 'Juba', ['Malakal', 'Wau', 'Yambio'], 'Africa', 11_000_000, ['South Sudanese pound'], ['English'], 'It is the world\'s youngest sovereign nation (2011).', 'SSD', 'SS', 'Crude Oil', '🇸🇸'],
+  ['Spain', 'Madrid', ['Barcelona', 'Valencia', 'Seville', 'Zaragoza'], 'Europe', 47_000_000, ['Euro'], ['Spanish'], 'It is the world\'s largest producer of olive oil.', 'ESP', 'ES', 'Cars', '🇪🇸'],
+  ['Sri Lanka', 'Sri Jayawardenepura Kotte', ['Colombo', 'Kandy', 'Galle', 'Jaffna'], 'Asia', 22_000_000, ['Sri Lankan rupee'], ['Sinhala', 'Tamil'], 'It was known as Ceylon until 1972.', 'LKA', 'LK', 'Tea', '🇱🇰'],
+  ['Sudan', 'Khartoum', ['Omdurman', 'Port Sudan', 'Kassala'], 'Africa', 46_000_000, ['Sudanese pound'], ['Arabic', 'English'], 'It has more pyramids than Egypt.', 'SDN', 'SD', 'Gold', '🇸🇩'],
+  ['Suriname', 'Paramaribo', ['Lelydorp', 'Nieuw Nickerie'], 'South America', 618_000, ['Surinamese dollar'], ['Dutch'], 'It is the most forested country in the world.', 'SUR', 'SR', 'Gold', '🇸🇷'],
+  ['Svalbard and Jan Mayen', 'Longyearbyen', ['Barentsburg'], 'Europe', 2_500, ['Norwegian krone'], ['Norwegian'], 'It houses the Global Seed Vault.', 'SJM', 'SJ', 'Coal', '🇸🇯'],
+  ['Sweden', 'Stockholm', ['Gothenburg', 'Malmö', 'Uppsala'], 'Europe', 10_500_000, ['Swedish krona'], ['Swedish'], 'It imports waste from other countries to power its energy plants.', 'SWE', 'SE', 'Cars', '🇸🇪'],
+  ['Switzerland', 'Bern', ['Zurich', 'Geneva', 'Basel', 'Lausanne'], 'Europe', 8_700_000, ['Swiss franc'], ['German', 'French', 'Italian'], 'It has not been at war since 1815.', 'CHE', 'CH', 'Gold', '🇨🇭'],
+  ['Syria', 'Damascus', ['Aleppo', 'Homs', 'Latakia'], 'Asia', 22_000_000, ['Syrian pound'], ['Arabic'], 'Damascus is widely believed to be the oldest continuously inhabited city.', 'SYR', 'SY', 'Olive Oil', '🇸🇾'],
+  ['Taiwan', 'Taipei', ['Kaohsiung', 'Taichung', 'Tainan'], 'Asia', 23_000_000, ['New Taiwan dollar'], ['Mandarin'], 'It is a global leader in semiconductor manufacturing.', 'TWN', 'TW', 'Semiconductors', '🇹🇼'],
+  ['Tajikistan', 'Dushanbe', ['Khujand', 'Bokhtar', 'Kulob'], 'Asia', 10_000_000, ['Somoni'], ['Tajik'], 'More than 90% of the country is mountainous.', 'TJK', 'TJ', 'Gold', '🇹🇯'],
+  ['Tanzania', 'Dodoma', ['Dar es Salaam', 'Mwanza', 'Arusha', 'Zanzibar City'], 'Africa', 65_000_000, ['Tanzanian shilling'], ['Swahili', 'English'], 'It is home to Mount Kilimanjaro, Africa\'s highest peak.', 'TZA', 'TZ', 'Gold', '🇹🇿'],
+  ['Thailand', 'Bangkok', ['Chiang Mai', 'Phuket', 'Pattaya', 'Nonthaburi'], 'Asia', 71_000_000, ['Baht'], ['Thai'], 'It is the only Southeast Asian country never colonized by Europe.', 'THA', 'TH', 'Computer Parts', '🇹🇭'],
+  ['Timor-Leste', 'Dili', ['Baucau', 'Maliana'], 'Asia', 1_300_000, ['US Dollar'], ['Tetum', 'Portuguese'], 'It was the first new sovereign state of the 21st century.', 'TLS', 'TL', 'Crude Oil', '🇹🇱'],
+  ['Togo', 'Lomé', ['Sokodé', 'Kara', 'Kpalimé'], 'Africa', 8_800_000, ['West African CFA franc'], ['French'], 'Its capital, Lomé, is known for its grand markets.', 'TGO', 'TG', 'Phosphates', '🇹🇬'],
+  ['Tokelau', null, ['Atafu', 'Nukunonu', 'Fakaofo'], 'Oceania', 1_500, ['New Zealand dollar'], ['Tokelauan', 'English'], 'It became the world\'s first 100% solar-powered nation.', 'TKL', 'TK', 'Stamps', '🇹🇰'],
+  ['Tonga', 'Nuku\'alofa', ['Neiafu', 'Haveluloto'], 'Oceania', 106_000, ['Pa\'anga'], ['Tongan', 'English'], 'It is the only Pacific monarchy to retain its independence.', 'TON', 'TO', 'Squash', '🇹🇴'],
+  ['Trinidad and Tobago', 'Port of Spain', ['San Fernando', 'Chaguanas', 'Arima'], 'North America', 1_500_000, ['Trinidad and Tobago dollar'], ['English'], 'It is the birthplace of the steelpan drum.', 'TTO', 'TT', 'Natural Gas', '🇹🇹'],
+  ['Tunisia', 'Tunis', ['Sfax', 'Sousse', 'Kairouan'], 'Africa', 12_000_000, ['Tunisian dinar'], ['Arabic'], 'It was the location of the ancient city of Carthage.', 'TUN', 'TN', 'Insulated Wire', '🇹🇳'],
+  ['Turkey', 'Ankara', ['Istanbul', 'Izmir', 'Bursa', 'Antalya', 'Adana'], 'Asia/Europe', 85_000_000, ['Turkish lira'], ['Turkish'], 'Istanbul sits on two continents.', 'TUR', 'TR', 'Cars', '🇹🇷'],
+  ['Turkmenistan', 'Ashgabat', ['Türkmenabat', 'Daşoguz', 'Mary'], 'Asia', 6_000_000, ['Turkmen manat'], ['Turkmen'], 'It is home to the "Gates of Hell" gas crater.', 'TKM', 'TM', 'Natural Gas', '🇹🇲'],
+  ['Turks and Caicos Islands', 'Cockburn Town', ['Providenciales'], 'North America', 45_000, ['US Dollar'], ['English'], 'It has the third largest barrier reef system in the world.', 'TCA', 'TC', 'Lobster', '🇹🇨'],
+  ['Tuvalu', 'Funafuti', [], 'Oceania', 11_000, ['Australian dollar'], ['Tuvaluan', 'English'], 'It receives income from the .tv internet domain.', 'TUV', 'TV', 'Fish', '🇹🇻'],
+  ['Uganda', 'Kampala', ['Nansana', 'Kira', 'Mbarara'], 'Africa', 47_000_000, ['Ugandan shilling'], ['English', 'Swahili'], 'It is home to almost half of the world\'s mountain gorillas.', 'UGA', 'UG', 'Gold', '🇺🇬'],
+  ['Ukraine', 'Kyiv', ['Kharkiv', 'Odesa', 'Dnipro', 'Lviv'], 'Europe', 38_000_000, ['Hryvnia'], ['Ukrainian'], 'It is often called the "Breadbasket of Europe".', 'UKR', 'UA', 'Grain/Steel', '🇺🇦'],
+  ['United Arab Emirates', 'Abu Dhabi', ['Dubai', 'Sharjah', 'Al Ain'], 'Asia', 9_400_000, ['UAE dirham'], ['Arabic'], 'It is home to the world\'s tallest building, the Burj Khalifa.', 'ARE', 'AE', 'Crude Oil', '🇦🇪'],
+  ['United Kingdom', 'London', ['Birmingham', 'Manchester', 'Glasgow', 'Edinburgh', 'Liverpool'], 'Europe', 67_000_000, ['Pound sterling'], ['English'], 'It has no written constitution.', 'GBR', 'GB', 'Cars', '🇬🇧'],
+  ['United States Minor Outlying Islands', null, [], 'Oceania', 0, ['US Dollar'], ['English'], 'It consists mostly of uninhabited wildlife refuges.', 'UMI', 'UM', 'None', '🇺🇲'],
+  ['United States', 'Washington, D.C.', ['New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix', 'Philadelphia', 'San Antonio', 'San Diego', 'Dallas', 'San Jose'], 'North America', 333_000_000, ['US Dollar'], ['English'], 'It has the world\'s largest economy.', 'USA', 'US', 'Refined Petroleum', '🇺🇸'],
+  ['Uruguay', 'Montevideo', ['Salto', 'Ciudad de la Costa', 'Paysandú'], 'South America', 3_400_000, ['Uruguayan peso'], ['Spanish'], 'It won the first ever FIFA World Cup in 1930.', 'URY', 'UY', 'Beef', '🇺🇾'],
+  ['Uzbekistan', 'Tashkent', ['Samarkand', 'Namangan', 'Andijan'], 'Asia', 35_000_000, ['Uzbek som'], ['Uzbek'], 'It is one of two doubly landlocked countries in the world.', 'UZB', 'UZ', 'Gold', '🇺🇿'],
+  ['Vanuatu', 'Port Vila', ['Luganville'], 'Oceania', 326_000, ['Vatu'], ['Bislama', 'English', 'French'], 'It is the birthplace of bungee jumping (land diving).', 'VUT', 'VU', 'Fish', '🇻🇺'],
+  ['Venezuela', 'Caracas', ['Maracaibo', 'Valencia', 'Barquisimeto'], 'South America', 28_000_000, ['Bolívar'], ['Spanish'], 'It has the world\'s highest uninterrupted waterfall, Angel Falls.', 'VEN', 'VE', 'Crude Oil', '🇻🇪'],
+  ['Vietnam', 'Hanoi', ['Ho Chi Minh City', 'Da Nang', 'Haiphong', 'Can Tho'], 'Asia', 98_000_000, ['Vietnamese dong'], ['Vietnamese'], 'It is the world\'s second largest coffee exporter.', 'VNM', 'VN', 'Electronics', '🇻🇳'],
+  ['Virgin Islands (British)', 'Road Town', ['Spanish Town'], 'North America', 31_000, ['US Dollar'], ['English'], 'It is a popular yachting destination.', 'VGB', 'VG', 'Rum', '🇻🇬'],
+  ['Virgin Islands (U.S.)', 'Charlotte Amalie', ['Christiansted', 'Frederiksted'], 'North America', 105_000, ['US Dollar'], ['English'], 'It is the only US territory where cars drive on the left.', 'VIR', 'VI', 'Refined Petroleum', '🇻🇮'],
+  ['Wallis and Futuna', 'Mata-Utu', ['Alele', 'Falaleu'], 'Oceania', 11_000, ['CFP franc'], ['French'], 'It has three traditional kings recognized by France.', 'WLF', 'WF', 'Coconuts', '🇼🇫'],
+  ['Western Sahara', 'Laayoune', ['Dakhla', 'Smara'], 'Africa', 600_000, ['Moroccan dirham'], ['Arabic'], 'It is a disputed territory with a phosphate-rich desert.', 'ESH', 'EH', 'Phosphates', '🇪🇭'],
+  ['Yemen', 'Sana\'a', ['Aden', 'Taiz', 'Hodeidah'], 'Asia', 33_000_000, ['Yemeni rial'], ['Arabic'], 'It is home to the "Manhattan of the Desert" (Shibam).', 'YEM', 'YE', 'Crude Oil', '🇾🇪'],
+  ['Zambia', 'Lusaka', ['Kitwe', 'Ndola', 'Kabwe'], 'Africa', 20_000_000, ['Zambian kwacha'], ['English'], 'It shares Victoria Falls with Zimbabwe.', 'ZMB', 'ZM', 'Copper', '🇿🇲'],
+  ['Zimbabwe', 'Harare', ['Bulawayo', 'Chitungwiza', 'Mutare'], 'Africa', 16_000_000, ['US Dollar'], ['Shona', 'Ndebele', 'English'], 'It has one of the largest elephant populations in the world.', 'ZWE', 'ZW', 'Gold', '🇿🇼'],
+  ['Åland Islands', 'Mariehamn', [], 'Europe', 30_000, ['Euro'], ['Swedish'], 'It is a demilitarized zone belonging to Finland.', 'ALA', 'AX', 'Ships', '🇦🇽']
 ];
 
-// Helper function to convert raw data into the final object structure
-const COUNTRIES_AND_CITIES = rawCountryData.map(item => ({
-  country: item[0],
-  cities: item[1],
-  region: item[2],
-  population: item[3],
-  currency: item[4],
-  language: item[5],
-  fun_fact: item[6],
-  iso_code: item[7],   // New Field
-  main_export: item[8], // New Field
-  flag: item[9]        // New Field
+// Extra clue data, keyed by ISO alpha-3 code (validated by CountryLoader)
+// Format: [Area_km2, Driving_Side, Calling_Code, Landmark, [Bordering ISO codes]]
+const rawClueData = {
+  AFG: [652_230, 'right', '+93', 'Minaret of Jam', ['IRN', 'PAK', 'TKM', 'UZB', 'TJK', 'CHN']],
+  ALB: [28_748, 'right', '+355', 'Butrint', ['MNE', 'GRC', 'MKD']],
+  DZA: [2_381_741, 'right', '+213', 'Casbah of Algiers', ['TUN', 'LBY', 'NER', 'ESH', 'MRT', 'MLI', 'MAR']],
+  ASM: [199, 'right', '+1 684', 'Fagatele Bay', []],
+  AND: [468, 'right', '+376', 'Casa de la Vall', ['FRA', 'ESP']],
+  AGO: [1_246_700, 'right', '+244', 'Kalandula Falls', ['COD', 'COG', 'ZMB', 'NAM']],
+  AIA: [91, 'left', '+1 264', 'Shoal Bay', []],
+  ATA: [14_200_000, null, '+672', 'South Pole', []],
+  ATG: [442, 'left', '+1 268', 'Nelson\'s Dockyard', []],
+  ARG: [2_780_400, 'right', '+54', 'Iguazu Falls', ['CHL', 'BOL', 'PRY', 'BRA', 'URY']],
+  ARM: [29_743, 'right', '+374', 'Geghard Monastery', ['GEO', 'AZE', 'IRN', 'TUR']],
+  ABW: [180, 'right', '+297', 'Eagle Beach', []],
+  AUS: [7_692_024, 'left', '+61', 'Sydney Opera House', []],
+  AUT: [83_879, 'right', '+43', 'Schönbrunn Palace', ['DEU', 'CZE', 'SVK', 'HUN', 'SVN', 'ITA', 'CHE', 'LIE']],
+  AZE: [86_600, 'right', '+994', 'Flame Towers', ['RUS', 'GEO', 'ARM', 'IRN', 'TUR']],
+  BHS: [13_943, 'left', '+1 242', 'Pig Beach', []],
+  BHR: [786, 'right', '+973', 'Tree of Life', []],
+  BGD: [148_460, 'left', '+880', 'Sundarbans', ['IND', 'MMR']],
+  BRB: [430, 'left', '+1 246', 'Harrison\'s Cave', []],
+  BLR: [207_600, 'right', '+375', 'Mir Castle', ['RUS', 'UKR', 'POL', 'LTU', 'LVA']],
+  BEL: [30_528, 'right', '+32', 'Atomium', ['FRA', 'LUX', 'DEU', 'NLD']],
+  BLZ: [22_966, 'right', '+501', 'Great Blue Hole', ['MEX', 'GTM']],
+  BEN: [114_763, 'right', '+229', 'Ganvie stilt village', ['TGO', 'BFA', 'NER', 'NGA']],
+  BMU: [54, 'left', '+1 441', 'Crystal Caves', []],
+  BTN: [38_394, 'left', '+975', 'Tiger\'s Nest Monastery', ['CHN', 'IND']],
+  BOL: [1_098_581, 'right', '+591', 'Salar de Uyuni', ['BRA', 'PRY', 'ARG', 'CHL', 'PER']],
+  BIH: [51_197, 'right', '+387', 'Stari Most', ['HRV', 'SRB', 'MNE']],
+  BWA: [581_730, 'left', '+267', 'Okavango Delta', ['ZAF', 'NAM', 'ZMB', 'ZWE']],
+  BVT: [49, null, '+47', null, []],
+  BRA: [8_515_767, 'right', '+55', 'Christ the Redeemer', ['ARG', 'BOL', 'COL', 'GUF', 'GUY', 'PRY', 'PER', 'SUR', 'URY', 'VEN']],
+  IOT: [60, 'left', '+246', null, []],
+  BRN: [5_765, 'left', '+673', 'Omar Ali Saifuddien Mosque', ['MYS']],
+  BGR: [110_879, 'right', '+359', 'Rila Monastery', ['ROU', 'SRB', 'MKD', 'GRC', 'TUR']],
+  BFA: [274_200, 'right', '+226', 'Grand Mosque of Bobo-Dioulasso', ['MLI', 'NER', 'BEN', 'TGO', 'GHA', 'CIV']],
+  BDI: [27_834, 'right', '+257', 'Lake Tanganyika', ['RWA', 'TZA', 'COD']],
+  CPV: [4_033, 'right', '+238', 'Pico do Fogo', []],
+  KHM: [181_035, 'right', '+855', 'Angkor Wat', ['THA', 'LAO', 'VNM']],
+  CMR: [475_442, 'right', '+237', 'Waza National Park', ['NGA', 'TCD', 'CAF', 'COG', 'GAB', 'GNQ']],
+  CAN: [9_984_670, 'right', '+1', 'CN Tower', ['USA']],
+  CYM: [264, 'left', '+1 345', 'Seven Mile Beach', []],
+  CAF: [622_984, 'right', '+236', 'Boali Falls', ['TCD', 'SDN', 'SSD', 'COD', 'COG', 'CMR']],
+  TCD: [1_284_000, 'right', '+235', 'Zakouma National Park', ['LBY', 'SDN', 'CAF', 'CMR', 'NGA', 'NER']],
+  CHL: [756_102, 'right', '+56', 'Moai of Easter Island', ['PER', 'BOL', 'ARG']],
+  CHN: [9_596_961, 'right', '+86', 'Forbidden City', ['AFG', 'BTN', 'IND', 'KAZ', 'PRK', 'KGZ', 'LAO', 'MNG', 'MMR', 'NPL', 'PAK', 'RUS', 'TJK', 'VNM', 'HKG', 'MAC']],
+  CXR: [135, 'left', '+61', 'The Dales', []],
+  CCK: [14, 'left', '+61', 'Cossies Beach', []],
+  COL: [1_141_748, 'right', '+57', 'Las Lajas Sanctuary', ['PAN', 'VEN', 'BRA', 'PER', 'ECU']],
+  COM: [1_861, 'right', '+269', 'Mount Karthala', []],
+  COG: [342_000, 'right', '+242', 'Basilica of Saint Anne', ['GAB', 'CMR', 'CAF', 'COD', 'AGO']],
+  COD: [2_344_858, 'right', '+243', 'Virunga National Park', ['CAF', 'SSD', 'UGA', 'RWA', 'BDI', 'TZA', 'ZMB', 'AGO', 'COG']],
+  COK: [236, 'left', '+682', 'Aitutaki Lagoon', []],
+  CRI: [51_100, 'right', '+506', 'Arenal Volcano', ['NIC', 'PAN']],
+  CIV: [322_463, 'right', '+225', 'Basilica of Our Lady of Peace', ['LBR', 'GIN', 'MLI', 'BFA', 'GHA']],
+  HRV: [56_594, 'right', '+385', 'Plitvice Lakes', ['SVN', 'HUN', 'SRB', 'BIH', 'MNE']],
+  CUB: [109_884, 'right', '+53', 'El Capitolio', []],
+  CUW: [444, 'right', '+599', 'Handelskade waterfront', []],
+  CYP: [9_251, 'left', '+357', 'Tombs of the Kings', []],
+  CZE: [78_871, 'right', '+420', 'Charles Bridge', ['DEU', 'POL', 'SVK', 'AUT']],
+  DNK: [42_933, 'right', '+45', 'The Little Mermaid', ['DEU']],
+  DJI: [23_200, 'right', '+253', 'Lake Assal', ['ERI', 'ETH', 'SOM']],
+  DMA: [751, 'left', '+1 767', 'Boiling Lake', []],
+  DOM: [48_671, 'right', '+1 809', 'Alcázar de Colón', ['HTI']],
+  ECU: [283_561, 'right', '+593', 'Galápagos Islands', ['COL', 'PER']],
+  EGY: [1_002_450, 'right', '+20', 'Pyramids of Giza', ['LBY', 'SDN', 'ISR', 'PSE']],
+  SLV: [21_041, 'right', '+503', 'Joya de Cerén', ['GTM', 'HND']],
+  GNQ: [28_051, 'right', '+240', 'Malabo Cathedral', ['CMR', 'GAB']],
+  ERI: [117_600, 'right', '+291', 'Fiat Tagliero Building', ['SDN', 'ETH', 'DJI']],
+  EST: [45_339, 'right', '+372', 'Tallinn Old Town', ['RUS', 'LVA']],
+  SWZ: [17_364, 'left', '+268', 'Sibebe Rock', ['ZAF', 'MOZ']],
+  ETH: [1_104_300, 'right', '+251', 'Rock-Hewn Churches of Lalibela', ['ERI', 'DJI', 'SOM', 'KEN', 'SSD', 'SDN']],
+  FLK: [12_173, 'left', '+500', 'Christ Church Cathedral', []],
+  FRO: [1_393, 'right', '+298', 'Múlafossur waterfall', []],
+  FJI: [18_274, 'left', '+679', 'Garden of the Sleeping Giant', []],
+  FIN: [338_455, 'right', '+358', 'Suomenlinna', ['SWE', 'NOR', 'RUS']],
+  FRA: [643_801, 'right', '+33', 'Eiffel Tower', ['BEL', 'LUX', 'DEU', 'CHE', 'ITA', 'MCO', 'AND', 'ESP']],
+  GUF: [83_534, 'right', '+594', 'Guiana Space Centre', ['BRA', 'SUR']],
+  PYF: [4_167, 'right', '+689', 'Mount Otemanu', []],
+  ATF: [7_747, 'right', '+262', null, []],
+  GAB: [267_668, 'right', '+241', 'Loango National Park', ['GNQ', 'CMR', 'COG']],
+  GMB: [11_295, 'right', '+220', 'Kunta Kinteh Island', ['SEN']],
+  GEO: [69_700, 'right', '+995', 'Gergeti Trinity Church', ['RUS', 'AZE', 'ARM', 'TUR']],
+  DEU: [357_588, 'right', '+49', 'Brandenburg Gate', ['DNK', 'POL', 'CZE', 'AUT', 'CHE', 'FRA', 'LUX', 'BEL', 'NLD']],
+  GHA: [238_533, 'right', '+233', 'Cape Coast Castle', ['CIV', 'BFA', 'TGO']],
+  GIB: [7, 'right', '+350', 'Great Siege Tunnels', ['ESP']],
+  GRC: [131_957, 'right', '+30', 'Acropolis of Athens', ['ALB', 'MKD', 'BGR', 'TUR']],
+  GRL: [2_166_086, 'right', '+299', 'Ilulissat Icefjord', []],
+  GRD: [344, 'left', '+1 473', 'Grand Anse Beach', []],
+  GLP: [1_628, 'right', '+590', 'La Soufrière', []],
+  GUM: [549, 'right', '+1 671', 'Two Lovers Point', []],
+  GTM: [108_889, 'right', '+502', 'Tikal', ['MEX', 'BLZ', 'HND', 'SLV']],
+  GGY: [78, 'left', '+44', 'Castle Cornet', []],
+  GIN: [245_857, 'right', '+224', 'Mount Nimba', ['GNB', 'SEN', 'MLI', 'CIV', 'LBR', 'SLE']],
+  GNB: [36_125, 'right', '+245', 'Bijagós Archipelago', ['SEN', 'GIN']],
+  GUY: [214_969, 'left', '+592', 'Kaieteur Falls', ['VEN', 'BRA', 'SUR']],
+  HTI: [27_750, 'right', '+509', 'Citadelle Laferrière', ['DOM']],
+  HMD: [368, null, '+672', null, []],
+  VAT: [0.49, 'right', '+379', 'St. Peter\'s Basilica', ['ITA']],
+  HND: [112_492, 'right', '+504', 'Copán', ['GTM', 'SLV', 'NIC']],
+  HKG: [1_106, 'left', '+852', 'Victoria Peak', ['CHN']],
+  HUN: [93_028, 'right', '+36', 'Hungarian Parliament Building', ['AUT', 'SVK', 'UKR', 'ROU', 'SRB', 'HRV', 'SVN']],
+  ISL: [103_000, 'right', '+354', 'Hallgrímskirkja', []],
+  IND: [3_287_263, 'left', '+91', 'Taj Mahal', ['PAK', 'CHN', 'NPL', 'BTN', 'BGD', 'MMR']],
+  IDN: [1_904_569, 'left', '+62', 'Borobudur', ['MYS', 'PNG', 'TLS']],
+  IRN: [1_648_195, 'right', '+98', 'Persepolis', ['IRQ', 'TUR', 'ARM', 'AZE', 'TKM', 'AFG', 'PAK']],
+  IRQ: [438_317, 'right', '+964', 'Ziggurat of Ur', ['TUR', 'IRN', 'KWT', 'SAU', 'JOR', 'SYR']],
+  IRL: [70_273, 'left', '+353', 'Cliffs of Moher', ['GBR']],
+  IMN: [572, 'left', '+44', 'Laxey Wheel', []],
+  ISR: [20_770, 'right', '+972', 'Western Wall', ['LBN', 'SYR', 'JOR', 'EGY', 'PSE']],
+  ITA: [301_340, 'right', '+39', 'Colosseum', ['FRA', 'CHE', 'AUT', 'SVN', 'SMR', 'VAT']],
+  JAM: [10_991, 'left', '+1 876', 'Dunn\'s River Falls', []],
+  JPN: [377_975, 'left', '+81', 'Mount Fuji', []],
+  JEY: [118, 'left', '+44', 'Mont Orgueil Castle', []],
+  JOR: [89_342, 'right', '+962', 'Petra', ['SYR', 'IRQ', 'SAU', 'ISR', 'PSE']],
+  KAZ: [2_724_900, 'right', '+7', 'Baiterek Tower', ['RUS', 'CHN', 'KGZ', 'UZB', 'TKM']],
+  KEN: [580_367, 'left', '+254', 'Maasai Mara', ['ETH', 'SOM', 'TZA', 'UGA', 'SSD']],
+  KIR: [811, 'left', '+686', 'Kiritimati Atoll', []],
+  PRK: [120_538, 'right', '+850', 'Juche Tower', ['CHN', 'KOR', 'RUS']],
+  KOR: [100_210, 'right', '+82', 'Gyeongbokgung Palace', ['PRK']],
+  KWT: [17_818, 'right', '+965', 'Liberation Tower', ['IRQ', 'SAU']],
+  KGZ: [199_951, 'right', '+996', 'Issyk-Kul Lake', ['KAZ', 'CHN', 'TJK', 'UZB']],
+  LAO: [236_800, 'right', '+856', 'Pha That Luang', ['CHN', 'MMR', 'THA', 'KHM', 'VNM']],
+  LVA: [64_589, 'right', '+371', 'House of the Blackheads', ['EST', 'LTU', 'BLR', 'RUS']],
+  LBN: [10_452, 'right', '+961', 'Baalbek', ['SYR', 'ISR']],
+  LSO: [30_355, 'left', '+266', 'Maletsunyane Falls', ['ZAF']],
+  LBR: [111_369, 'right', '+231', 'Providence Island', ['SLE', 'GIN', 'CIV']],
+  LBY: [1_759_541, 'right', '+218', 'Leptis Magna', ['TUN', 'DZA', 'NER', 'TCD', 'SDN', 'EGY']],
+  LIE: [160, 'right', '+423', 'Vaduz Castle', ['CHE', 'AUT']],
+  LTU: [65_300, 'right', '+370', 'Trakai Island Castle', ['LVA', 'BLR', 'POL', 'RUS']],
+  LUX: [2_586, 'right', '+352', 'Bock Casemates', ['BEL', 'FRA', 'DEU']],
+  MAC: [33, 'left', '+853', 'Ruins of St. Paul\'s', ['CHN']],
+  MDG: [587_041, 'right', '+261', 'Avenue of the Baobabs', []],
+  MWI: [118_484, 'left', '+265', 'Mulanje Massif', ['TZA', 'MOZ', 'ZMB']],
+  MYS: [330_803, 'left', '+60', 'Petronas Towers', ['THA', 'IDN', 'BRN']],
+  MDV: [298, 'left', '+960', 'Hukuru Miskiy', []],
+  MLI: [1_240_192, 'right', '+223', 'Great Mosque of Djenné', ['DZA', 'NER', 'BFA', 'CIV', 'GIN', 'SEN', 'MRT']],
+  MLT: [316, 'left', '+356', 'Ħal Saflieni Hypogeum', []],
+  MHL: [181, 'right', '+692', 'Bikini Atoll', []],
+  MTQ: [1_128, 'right', '+596', 'Mount Pelée', []],
+  MRT: [1_030_700, 'right', '+222', 'Richat Structure', ['ESH', 'DZA', 'MLI', 'SEN']],
+  MUS: [2_040, 'left', '+230', 'Le Morne Brabant', []],
+  MYT: [374, 'right', '+262', 'Dziani Dzaha Lake', []],
+  MEX: [1_964_375, 'right', '+52', 'Chichén Itzá', ['USA', 'GTM', 'BLZ']],
+  FSM: [702, 'right', '+691', 'Nan Madol', []],
+  MDA: [33_846, 'right', '+373', 'Orheiul Vechi', ['ROU', 'UKR']],
+  MCO: [2.02, 'right', '+377', 'Monte Carlo Casino', ['FRA']],
+  MNG: [1_564_110, 'right', '+976', 'Genghis Khan Equestrian Statue', ['RUS', 'CHN']],
+  MNE: [13_812, 'right', '+382', 'Bay of Kotor', ['HRV', 'BIH', 'SRB', 'ALB']],
+  MSR: [102, 'left', '+1 664', 'Soufrière Hills', []],
+  MAR: [446_550, 'right', '+212', 'Hassan II Mosque', ['DZA', 'ESH', 'ESP']],
+  MOZ: [801_590, 'left', '+258', 'Gorongosa National Park', ['TZA', 'MWI', 'ZMB', 'ZWE', 'ZAF', 'SWZ']],
+  MMR: [676_578, 'right', '+95', 'Shwedagon Pagoda', ['BGD', 'IND', 'CHN', 'LAO', 'THA']],
+  NAM: [825_615, 'left', '+264', 'Sossusvlei', ['AGO', 'ZMB', 'BWA', 'ZAF']],
+  NRU: [21, 'left', '+674', 'Anibare Bay', []],
+  NPL: [147_516, 'left', '+977', 'Mount Everest', ['CHN', 'IND']],
+  NLD: [41_850, 'right', '+31', 'Kinderdijk windmills', ['DEU', 'BEL']],
+  NCL: [18_575, 'right', '+687', 'Tjibaou Cultural Centre', []],
+  NZL: [268_021, 'left', '+64', 'Milford Sound', []],
+  NIC: [130_373, 'right', '+505', 'Masaya Volcano', ['HND', 'CRI']],
+  NER: [1_267_000, 'right', '+227', 'Agadez Mosque', ['DZA', 'LBY', 'TCD', 'NGA', 'BEN', 'BFA', 'MLI']],
+  NGA: [923_768, 'right', '+234', 'Zuma Rock', ['BEN', 'NER', 'TCD', 'CMR']],
+  NIU: [261, 'left', '+683', 'Togo Chasm', []],
+  NFK: [36, 'left', '+672', 'Kingston and Arthur\'s Vale', []],
+  MKD: [25_713, 'right', '+389', 'Lake Ohrid', ['SRB', 'BGR', 'GRC', 'ALB']],
+  MNP: [464, 'right', '+1 670', 'Banzai Cliff', []],
+  NOR: [385_207, 'right', '+47', 'Geirangerfjord', ['SWE', 'FIN', 'RUS']],
+  OMN: [309_500, 'right', '+968', 'Sultan Qaboos Grand Mosque', ['ARE', 'SAU', 'YEM']],
+  PAK: [881_913, 'left', '+92', 'Badshahi Mosque', ['IND', 'IRN', 'AFG', 'CHN']],
+  PLW: [459, 'right', '+680', 'Rock Islands', []],
+  PSE: [6_020, 'right', '+970', 'Church of the Nativity', ['ISR', 'EGY', 'JOR']],
+  PAN: [75_417, 'right', '+507', 'Miraflores Locks', ['CRI', 'COL']],
+  PNG: [462_840, 'left', '+675', 'Kokoda Track', ['IDN']],
+  PRY: [406_752, 'right', '+595', 'Itaipu Dam', ['BOL', 'BRA', 'ARG']],
+  PER: [1_285_216, 'right', '+51', 'Machu Picchu', ['ECU', 'COL', 'BRA', 'BOL', 'CHL']],
+  PHL: [300_000, 'right', '+63', 'Chocolate Hills', []],
+  PCN: [47, 'left', '+64', 'Bounty Bay', []],
+  POL: [312_696, 'right', '+48', 'Wawel Castle', ['DEU', 'CZE', 'SVK', 'UKR', 'BLR', 'LTU', 'RUS']],
+  PRT: [92_212, 'right', '+351', 'Belém Tower', ['ESP']],
+  PRI: [9_104, 'right', '+1 787', 'Castillo San Felipe del Morro', []],
+  QAT: [11_586, 'right', '+974', 'Museum of Islamic Art', ['SAU']],
+  ROU: [238_397, 'right', '+40', 'Bran Castle', ['UKR', 'MDA', 'BGR', 'SRB', 'HUN']],
+  RUS: [17_098_246, 'right', '+7', 'Saint Basil\'s Cathedral', ['NOR', 'FIN', 'EST', 'LVA', 'LTU', 'POL', 'BLR', 'UKR', 'GEO', 'AZE', 'KAZ', 'CHN', 'MNG', 'PRK']],
+  RWA: [26_338, 'right', '+250', 'Volcanoes National Park', ['UGA', 'TZA', 'BDI', 'COD']],
+  REU: [2_511, 'right', '+262', 'Piton de la Fournaise', []],
+  BLM: [25, 'right', '+590', 'Shell Beach', []],
+  SHN: [394, 'left', '+290', 'Jacob\'s Ladder', []],
+  KNA: [261, 'left', '+1 869', 'Brimstone Hill Fortress', []],
+  LCA: [617, 'left', '+1 758', 'The Pitons', []],
+  MAF: [53, 'right', '+590', 'Fort Louis', ['SXM']],
+  SPM: [242, 'right', '+508', 'Île aux Marins', []],
+  VCT: [389, 'left', '+1 784', 'La Soufrière', []],
+  WSM: [2_842, 'left', '+685', 'To Sua Ocean Trench', []],
+  SMR: [61, 'right', '+378', 'Guaita Tower', ['ITA']],
+  STP: [964, 'right', '+239', 'Pico Cão Grande', []],
+  SAU: [2_149_690, 'right', '+966', 'Masjid al-Haram', ['JOR', 'IRQ', 'KWT', 'QAT', 'ARE', 'OMN', 'YEM']],
+  SEN: [196_722, 'right', '+221', 'African Renaissance Monument', ['MRT', 'MLI', 'GIN', 'GNB', 'GMB']],
+  SRB: [77_474, 'right', '+381', 'Belgrade Fortress', ['HUN', 'ROU', 'BGR', 'MKD', 'MNE', 'BIH', 'HRV']],
+  SYC: [459, 'left', '+248', 'Vallée de Mai', []],
+  SLE: [71_740, 'right', '+232', 'Bunce Island', ['GIN', 'LBR']],
+  SGP: [728, 'left', '+65', 'Marina Bay Sands', []],
+  SXM: [34, 'right', '+1 721', 'Maho Beach', ['MAF']],
+  SVK: [49_035, 'right', '+421', 'Bratislava Castle', ['CZE', 'POL', 'UKR', 'HUN', 'AUT']],
+  SVN: [20_273, 'right', '+386', 'Lake Bled', ['ITA', 'AUT', 'HUN', 'HRV']],
+  SLB: [28_896, 'left', '+677', 'Marovo Lagoon', []],
+  SOM: [637_657, 'right', '+252', 'Laas Geel', ['DJI', 'ETH', 'KEN']],
+  ZAF: [1_221_037, 'left', '+27', 'Table Mountain', ['NAM', 'BWA', 'ZWE', 'MOZ', 'SWZ', 'LSO']],
+  SGS: [3_903, null, '+500', 'Grytviken Church', []],
+  SSD: [619_745, 'right', '+211', 'Sudd wetland', ['SDN', 'ETH', 'KEN', 'UGA', 'COD', 'CAF']],
+  ESP: [505_990, 'right', '+34', 'Sagrada Família', ['PRT', 'FRA', 'AND', 'GIB', 'MAR']],
+  LKA: [65_610, 'left', '+94', 'Sigiriya', []],
+  SDN: [1_886_068, 'right', '+249', 'Pyramids of Meroë', ['EGY', 'LBY', 'TCD', 'CAF', 'SSD', 'ETH', 'ERI']],
+  SUR: [163_820, 'left', '+597', 'Brownsberg Nature Park', ['GUY', 'BRA', 'GUF']],
+  SJM: [61_399, 'right', '+47', 'Svalbard Global Seed Vault', []],
+  SWE: [450_295, 'right', '+46', 'Vasa Museum', ['NOR', 'FIN']],
+  CHE: [41_285, 'right', '+41', 'Matterhorn', ['DEU', 'FRA', 'ITA', 'AUT', 'LIE']],
+  SYR: [185_180, 'right', '+963', 'Krak des Chevaliers', ['TUR', 'IRQ', 'JOR', 'ISR', 'LBN']],
+  TWN: [36_197, 'right', '+886', 'Taipei 101', []],
+  TJK: [143_100, 'right', '+992', 'Pamir Highway', ['UZB', 'KGZ', 'CHN', 'AFG']],
+  TZA: [947_303, 'left', '+255', 'Mount Kilimanjaro', ['KEN', 'UGA', 'RWA', 'BDI', 'COD', 'ZMB', 'MWI', 'MOZ']],
+  THA: [513_120, 'left', '+66', 'Wat Arun', ['MMR', 'LAO', 'KHM', 'MYS']],
+  TLS: [14_874, 'left', '+670', 'Cristo Rei of Dili', ['IDN']],
+  TGO: [56_785, 'right', '+228', 'Koutammakou', ['GHA', 'BFA', 'BEN']],
+  TKL: [10, null, '+690', null, []],
+  TON: [747, 'left', '+676', 'Ha\'amonga \'a Maui', []],
+  TTO: [5_128, 'left', '+1 868', 'Pitch Lake', []],
+  TUN: [163_610, 'right', '+216', 'Amphitheatre of El Jem', ['DZA', 'LBY']],
+  TUR: [783_562, 'right', '+90', 'Hagia Sophia', ['GRC', 'BGR', 'GEO', 'ARM', 'AZE', 'IRN', 'IRQ', 'SYR']],
+  TKM: [488_100, 'right', '+993', 'Darvaza Gas Crater', ['KAZ', 'UZB', 'AFG', 'IRN']],
+  TCA: [948, 'left', '+1 649', 'Grace Bay', []],
+  TUV: [26, 'left', '+688', 'Funafuti Conservation Area', []],
+  UGA: [241_550, 'left', '+256', 'Murchison Falls', ['KEN', 'SSD', 'COD', 'RWA', 'TZA']],
+  UKR: [603_550, 'right', '+380', 'Kyiv Pechersk Lavra', ['BLR', 'RUS', 'POL', 'SVK', 'HUN', 'ROU', 'MDA']],
+  ARE: [83_600, 'right', '+971', 'Burj Khalifa', ['SAU', 'OMN']],
+  GBR: [242_495, 'left', '+44', 'Stonehenge', ['IRL']],
+  UMI: [34, 'right', '+1', 'Midway Atoll', []],
+  USA: [9_833_520, 'right', '+1', 'Statue of Liberty', ['CAN', 'MEX']],
+  URY: [176_215, 'right', '+598', 'Palacio Salvo', ['BRA', 'ARG']],
+  UZB: [448_978, 'right', '+998', 'Registan', ['KAZ', 'KGZ', 'TJK', 'AFG', 'TKM']],
+  VUT: [12_189, 'right', '+678', 'Mount Yasur', []],
+  VEN: [916_445, 'right', '+58', 'Angel Falls', ['COL', 'BRA', 'GUY']],
+  VNM: [331_212, 'right', '+84', 'Ha Long Bay', ['CHN', 'LAO', 'KHM']],
+  VGB: [153, 'left', '+1 284', 'The Baths', []],
+  VIR: [347, 'left', '+1 340', 'Magens Bay', []],
+  WLF: [142, 'right', '+681', 'Lake Lalolalo', []],
+  ESH: [266_000, 'right', '+212', 'Dakhla Lagoon', ['MAR', 'DZA', 'MRT']],
+  YEM: [527_968, 'right', '+967', 'Shibam', ['SAU', 'OMN']],
+  ZMB: [752_618, 'left', '+260', 'Victoria Falls', ['AGO', 'COD', 'TZA', 'MWI', 'MOZ', 'ZWE', 'BWA', 'NAM']],
+  ZWE: [390_757, 'left', '+263', 'Matobo Hills', ['ZMB', 'MOZ', 'ZAF', 'BWA']],
+  ALA: [1_580, 'right', '+358', 'Kastelholm Castle', []]
+};
+
+// Alternative names accepted as correct guesses, keyed by ISO code
+const COUNTRY_ALIASES = {
+  ATG: ['Antigua'],
+  BIH: ['Bosnia'],
+  BRN: ['Brunei'],
+  CPV: ['Cape Verde'],
+  CCK: ['Keeling Islands'],
+  COG: ['Republic of the Congo', 'Congo-Brazzaville'],
+  COD: ['DR Congo', 'DRC', 'Congo-Kinshasa', 'Zaire'],
+  CIV: ['Ivory Coast'],
+  CZE: ['Czech Republic'],
+  SWZ: ['Swaziland'],
+  FLK: ['Falklands', 'Malvinas'],
+  FRO: ['Faroes', 'Faroe'],
+  VAT: ['Vatican', 'Vatican City'],
+  IRN: ['Persia'],
+  KOR: ['Korea', 'Republic of Korea'],
+  PRK: ['DPRK'],
+  LAO: ['Lao'],
+  MAC: ['Macau'],
+  FSM: ['Federated States of Micronesia'],
+  MMR: ['Burma'],
+  NLD: ['Holland'],
+  MKD: ['Macedonia'],
+  PSE: ['Palestinian Territories'],
+  PCN: ['Pitcairn Islands'],
+  RUS: ['Russian Federation'],
+  BLM: ['St Barts', 'St Barthelemy'],
+  SHN: ['Saint Helena', 'St Helena'],
+  KNA: ['St Kitts and Nevis', 'Saint Kitts'],
+  LCA: ['St Lucia'],
+  MAF: ['St Martin'],
+  SPM: ['St Pierre and Miquelon'],
+  VCT: ['St Vincent and the Grenadines', 'Saint Vincent'],
+  STP: ['São Tomé and Príncipe', 'Sao Tome'],
+  SGS: ['South Georgia'],
+  SYR: ['Syrian Arab Republic'],
+  TLS: ['East Timor'],
+  TZA: ['United Republic of Tanzania'],
+  TTO: ['Trinidad'],
+  TUR: ['Türkiye'],
+  TCA: ['Turks and Caicos'],
+  ARE: ['UAE', 'Emirates'],
+  GBR: ['UK', 'Great Britain', 'Britain'],
+  UMI: ['US Minor Outlying Islands'],
+  USA: ['US', 'USA', 'United States of America', 'America'],
+  VGB: ['British Virgin Islands', 'BVI'],
+  VIR: ['US Virgin Islands', 'USVI'],
+  VNM: ['Viet Nam'],
+  ALA: ['Åland']
+};
+
+// Dependent territories and other non-sovereign entries, keyed by ISO code
+const TERRITORIES = new Set([
+  'ALA', 'ASM', 'AIA', 'ATA', 'ABW', 'BMU', 'BVT', 'IOT', 'CYM', 'CXR', 'CCK', 'COK',
+  'CUW', 'FLK', 'FRO', 'GUF', 'PYF', 'ATF', 'GIB', 'GRL', 'GLP', 'GUM', 'GGY', 'HMD',
+  'HKG', 'IMN', 'JEY', 'MAC', 'MTQ', 'MYT', 'MSR', 'NCL', 'NIU', 'NFK', 'MNP', 'PCN',
+  'PRI', 'REU', 'BLM', 'SHN', 'MAF', 'SPM', 'SXM', 'SGS', 'SJM', 'TKL', 'TCA', 'UMI',
+  'VGB', 'VIR', 'WLF', 'ESH'
+]);
+
+// Countries most players recognise straight away
+const EASY_COUNTRIES = new Set([
+  'ARG', 'AUS', 'AUT', 'BEL', 'BRA', 'CAN', 'CHE', 'CHL', 'CHN', 'COL', 'CUB', 'DEU',
+  'DNK', 'EGY', 'ESP', 'ETH', 'FIN', 'FRA', 'GBR', 'GRC', 'IDN', 'IND', 'IRL', 'IRN',
+  'IRQ', 'ISR', 'ITA', 'JAM', 'JPN', 'KEN', 'KOR', 'MAR', 'MEX', 'NGA', 'NLD', 'NOR',
+  'NZL', 'PAK', 'PER', 'PHL', 'POL', 'PRT', 'RUS', 'SAU', 'SWE', 'THA', 'TUR', 'UKR',
+  'USA', 'VNM', 'ZAF'
+]);
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Named pools of ISO codes that a room can restrict its deck to
+const COUNTRY_POOLS = {
+  eu: {
+    name: 'EU members',
+    codes: ['AUT', 'BEL', 'BGR', 'HRV', 'CYP', 'CZE', 'DNK', 'EST', 'FIN', 'FRA', 'DEU', 'GRC',
+      'HUN', 'IRL', 'ITA', 'LVA', 'LTU', 'LUX', 'MLT', 'NLD', 'POL', 'PRT', 'ROU', 'SVK',
+      'SVN', 'ESP', 'SWE']
+  },
+  g7: {
+    name: 'G7',
+    codes: ['CAN', 'FRA', 'DEU', 'ITA', 'JPN', 'GBR', 'USA']
+  },
+  g20: {
+    name: 'G20',
+    codes: ['ARG', 'AUS', 'BRA', 'CAN', 'CHN', 'FRA', 'DEU', 'IND', 'IDN', 'ITA', 'JPN', 'KOR',
+      'MEX', 'RUS', 'SAU', 'ZAF', 'TUR', 'GBR', 'USA']
+  },
+  asean: {
+    name: 'ASEAN members',
+    codes: ['BRN', 'KHM', 'IDN', 'LAO', 'MYS', 'MMR', 'PHL', 'SGP', 'THA', 'VNM']
+  },
+  nordic: {
+    name: 'Nordic countries',
+    codes: ['DNK', 'FIN', 'ISL', 'NOR', 'SWE']
+  }
+};
+
+// Easy: household names; hard: territories and microstates; medium: the rest
+const getDifficulty = (iso, population) => {
+  if (EASY_COUNTRIES.has(iso)) return 'easy';
+  if (TERRITORIES.has(iso) || population < 1e6) return 'hard';
+  return 'medium';
+};
+
+// Validate the raw rows, then attach guessing and selection metadata
+const COUNTRIES_AND_CITIES = loadCountries(rawCountryData, rawClueData, COUNTRY_ALIASES).map(country => ({
+  ...country,
+  difficulty: getDifficulty(country.iso_code, country.population),
+  sovereign: !TERRITORIES.has(country.iso_code)
 }));
 
-module.exports = { COUNTRIES_AND_CITIES };
\ No newline at end of file
+module.exports = { COUNTRIES_AND_CITIES, COUNTRY_POOLS, DIFFICULTIES };
\ No newline at end of file
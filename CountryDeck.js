@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Hash a seed (string or number) into a 32-bit integer for the PRNG
+const hashSeed = (seed) => {
+  const str = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32 - small, fast and good enough for shuffling a deck
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const generateSeed = () => crypto.randomBytes(8).toString('hex');
+
+// Fisher-Yates shuffle in place using the given PRNG
+const shuffle = (items, random) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Draws countries without replacement; the same seed always yields the same
+// sequence. Once every card is used the deck reshuffles from the same PRNG.
+class CountryDeck {
+  constructor(countries, seed = generateSeed()) {
+    this.countries = countries;
+    this.seed = seed;
+    this.random = createRandom(seed);
+    this.shuffle();
+  }
+
+  shuffle() {
+    this.cards = shuffle(this.countries.slice(), this.random);
+  }
+
+  draw() {
+    if (this.cards.length === 0) {
+      this.shuffle();
+    }
+    return this.cards.pop();
+  }
+
+  get remaining() {
+    return this.cards.length;
+  }
+}
+
+module.exports = { CountryDeck, shuffle };
@@ -0,0 +1,149 @@
+// Validates the raw country rows and turns them into objects.
+// Any malformed entry throws at startup instead of surfacing mid-game as a broken clue.
+//
+// Row format:
+// [Country, Capital, [Other Cities], Region, Population, [Currencies], [Languages],
+//  Fun Fact, ISO_Alpha3, ISO_Alpha2, Main_Export, Flag]
+//
+// Clue data format (keyed by ISO alpha-3):
+// [Area_km2, Driving_Side, Calling_Code, Landmark, [Bordering ISO codes]]
+
+const { containsCountryName } = require('./CountryNames');
+
+const REGIONS = [
+  'Africa', 'Antarctica', 'Asia', 'Europe', 'North America', 'Oceania', 'South America',
+  'Europe/Asia', 'Asia/Europe'
+];
+
+const ROW_LENGTH = 12;
+const CLUE_ROW_LENGTH = 5;
+const DRIVING_SIDES = ['left', 'right'];
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+const isTextList = (value) => Array.isArray(value) && value.every(isText);
+
+// The flag emoji is two regional indicator symbols spelling the alpha-2 code
+const flagToAlpha2 = (flag) => [...flag]
+  .map(symbol => String.fromCharCode(symbol.codePointAt(0) - 0x1F1E6 + 65))
+  .join('');
+
+const validateRow = (row) => {
+  if (!Array.isArray(row) || row.length !== ROW_LENGTH) {
+    return `expected ${ROW_LENGTH} fields`;
+  }
+  const [country, capital, cities, region, population, currencies, languages,
+    funFact, iso3, iso2, mainExport, flag] = row;
+
+  if (!isText(country)) return 'country name is required';
+  if (capital !== null && !isText(capital)) return 'capital must be a name or null';
+  if (!isTextList(cities)) return 'cities must be a list of names';
+  if (capital !== null && cities.includes(capital)) return 'capital is repeated in cities';
+  if (!REGIONS.includes(region)) return `unknown region "${region}"`;
+  if (!Number.isInteger(population) || population < 0) return 'population must be a non-negative integer';
+  if (!isTextList(currencies)) return 'currencies must be a list of names';
+  if (!isTextList(languages)) return 'languages must be a list of names';
+  if (!isText(funFact)) return 'fun fact is required';
+  if (!/^[A-Z]{3}$/.test(iso3)) return 'ISO alpha-3 code must be three capital letters';
+  if (!/^[A-Z]{2}$/.test(iso2)) return 'ISO alpha-2 code must be two capital letters';
+  if (!isText(mainExport)) return 'main export is required';
+  if (!isText(flag) || flagToAlpha2(flag) !== iso2) return 'flag does not match the ISO alpha-2 code';
+  return null;
+};
+
+const validateClueRow = (row) => {
+  if (!Array.isArray(row) || row.length !== CLUE_ROW_LENGTH) {
+    return `expected ${CLUE_ROW_LENGTH} clue fields`;
+  }
+  const [area, drivingSide, callingCode, landmark, borders] = row;
+
+  if (typeof area !== 'number' || !(area > 0)) return 'area must be a positive number';
+  if (drivingSide !== null && !DRIVING_SIDES.includes(drivingSide)) return 'driving side must be left, right or null';
+  if (!/^\+\d+( \d+)?$/.test(callingCode)) return 'calling code must look like +44 or +1 684';
+  if (landmark !== null && !isText(landmark)) return 'landmark must be a name or null';
+  if (!Array.isArray(borders) || !borders.every(code => /^[A-Z]{3}$/.test(code))) {
+    return 'borders must be a list of ISO alpha-3 codes';
+  }
+  return null;
+};
+
+// Borders must point at known countries and be listed on both sides
+const validateBorders = (countries) => {
+  const byCode = new Map(countries.map(country => [country.iso_code, country]));
+  countries.forEach(country => {
+    country.borders.forEach(code => {
+      const neighbour = byCode.get(code);
+      if (!neighbour) {
+        throw new Error(`Invalid country entry ${country.iso_code}: unknown border ${code}`);
+      }
+      if (!neighbour.borders.includes(country.iso_code)) {
+        throw new Error(`Invalid country entry ${country.iso_code}: ${code} does not list it as a border`);
+      }
+    });
+  });
+};
+
+// aliases: extra accepted names keyed by ISO alpha-3
+const loadCountries = (rows, clueData, aliases = {}) => {
+  const seenAlpha3 = new Set();
+  const seenAlpha2 = new Set();
+
+  const countries = rows.map((row, index) => {
+    const name = Array.isArray(row) ? row[0] : row;
+    const problem = validateRow(row) ||
+      (seenAlpha3.has(row[8]) && `duplicate ISO alpha-3 code ${row[8]}`) ||
+      (seenAlpha2.has(row[9]) && `duplicate ISO alpha-2 code ${row[9]}`);
+
+    if (problem) {
+      throw new Error(`Invalid country entry #${index} (${name}): ${problem}`);
+    }
+    seenAlpha3.add(row[8]);
+    seenAlpha2.add(row[9]);
+
+    const clueRow = clueData[row[8]];
+    const clueProblem = clueRow ? validateClueRow(clueRow) : 'missing clue data';
+    if (clueProblem) {
+      throw new Error(`Invalid country entry #${index} (${name}): ${clueProblem}`);
+    }
+
+    const country = {
+      country: row[0],
+      capital: row[1],
+      cities: row[2],
+      region: row[3],
+      population: row[4],
+      currencies: row[5],
+      languages: row[6],
+      fun_fact: row[7],
+      iso_code: row[8],
+      iso_alpha2: row[9],
+      main_export: row[10],
+      flag: row[11],
+      area_km2: clueRow[0],
+      driving_side: clueRow[1],
+      calling_code: clueRow[2],
+      landmark: clueRow[3],
+      borders: clueRow[4],
+      aliases: aliases[row[8]] || []
+    };
+
+    // A landmark clue must not spell out the answer ("Great Wall of China")
+    if (country.landmark !== null && containsCountryName(country.landmark, country)) {
+      throw new Error(`Invalid country entry #${index} (${name}): landmark names the country`);
+    }
+    return country;
+  });
+
+  validateBorders(countries);
+  return countries;
+};
+
+// 41000000 -> '41 million', 44000 -> '44,000'
+const formatPopulation = (population) => {
+  if (population === 0) return 'No permanent population';
+  const scaled = (value, unit) => `${parseFloat(value.toFixed(1))} ${unit}`;
+  if (population >= 1e9) return scaled(population / 1e9, 'billion');
+  if (population >= 1e6) return scaled(population / 1e6, 'million');
+  return population.toLocaleString('en-US');
+};
+
+module.exports = { loadCountries, formatPopulation, REGIONS };
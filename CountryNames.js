@@ -0,0 +1,31 @@
+// Name normalisation shared by guess matching and the dataset checks in CountryLoader
+
+const SHORT_NAME_LENGTH = 3; // Names this short ("UK", "UAE") only count as whole words
+
+// Lowercase, fold diacritics (Å -> a, ô -> o) and drop everything but letters/digits
+const normalizeName = (str) => String(str)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/^the\s+/, '')
+  .replace(/[^a-z0-9]/g, '');
+
+// Every accepted spelling of a country: its name, the name without
+// parenthesised parts ("Cocos (Keeling) Islands") and its aliases
+const getAcceptedNames = (country) => {
+  const names = [country.country, country.country.replace(/\s*\(.*?\)\s*/g, ' ').trim()]
+    .concat(country.aliases || []);
+  return [...new Set(names.map(normalizeName).filter(Boolean))];
+};
+
+// True when the text spells out one of the country's accepted names, as in
+// "Great Wall of China" or "Cap-Haïtien"; "Houston" does not contain "US"
+const containsCountryName = (text, country) => {
+  const words = String(text).split(/[\s\-,.']+/).map(normalizeName);
+  const joined = words.join('');
+  return getAcceptedNames(country).some(name =>
+    (name.length <= SHORT_NAME_LENGTH ? words.includes(name) : joined.includes(name)));
+};
+
+module.exports = { normalizeName, getAcceptedNames, containsCountryName };
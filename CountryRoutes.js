@@ -0,0 +1,94 @@
+const express = require('express');
+const { COUNTRIES_AND_CITIES, COUNTRY_POOLS, DIFFICULTIES } = require('./CountriesAndCities');
+const { normalizeName } = require('./GuessMatcher');
+const { CLUE_PROVIDERS } = require('./ClueProviders');
+const { errorPayload } = require('./ErrorCodes');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 250;
+
+const router = express.Router();
+
+const parsePositiveInt = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// GET /api/countries?region=Europe&difficulty=easy&q=ger&page=1&limit=50
+router.get('/countries', (req, res) => {
+  const { region, difficulty, q } = req.query;
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE);
+
+  if (!page || !limit || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: errorPayload('INVALID_QUERY') });
+  }
+  if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty)) {
+    return res.status(400).json({ error: errorPayload('INVALID_DIFFICULTY') });
+  }
+
+  let countries = COUNTRIES_AND_CITIES;
+  if (region) {
+    countries = countries.filter(country => country.region === region);
+  }
+  if (difficulty) {
+    countries = countries.filter(country => country.difficulty === difficulty);
+  }
+  if (q) {
+    // Prefix match on the name or any alias, for autocomplete
+    const prefix = normalizeName(q);
+    countries = countries.filter(country =>
+      [country.country, ...country.aliases].some(name => normalizeName(name).startsWith(prefix))
+    );
+  }
+
+  const start = (page - 1) * limit;
+  res.json({
+    total: countries.length,
+    page,
+    limit,
+    countries: countries.slice(start, start + limit)
+  });
+});
+
+// GET /api/countries/DEU
+router.get('/countries/:iso', (req, res) => {
+  const iso = req.params.iso.toUpperCase();
+  const country = COUNTRIES_AND_CITIES.find(entry => entry.iso_code === iso);
+  if (!country) {
+    return res.status(404).json({ error: errorPayload('COUNTRY_NOT_FOUND') });
+  }
+  res.json(country);
+});
+
+// GET /api/regions - every region with its country count
+router.get('/regions', (req, res) => {
+  const counts = new Map();
+  COUNTRIES_AND_CITIES.forEach(country => {
+    counts.set(country.region, (counts.get(country.region) || 0) + 1);
+  });
+  res.json({
+    regions: [...counts.entries()].map(([name, count]) => ({ name, count }))
+  });
+});
+
+// GET /api/pools - named pools usable in settings.pool
+router.get('/pools', (req, res) => {
+  res.json({
+    pools: Object.entries(COUNTRY_POOLS).map(([id, pool]) => ({
+      id,
+      name: pool.name,
+      count: pool.codes.length
+    }))
+  });
+});
+
+// GET /api/clues - clue types usable as settings.enableClues keys, in default order
+router.get('/clues', (req, res) => {
+  res.json({
+    clues: [...CLUE_PROVIDERS.values()].map(({ key, label }) => ({ key, label }))
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { COUNTRIES_AND_CITIES } = require('./CountriesAndCities');
+const { CountryDeck } = require('./CountryDeck');
+const { CLUE_PROVIDERS, getClueValue } = require('./ClueProviders');
+const { matchGuess } = require('./GuessMatcher');
+
+// Country of the day: one puzzle per UTC day, the same for every player.
+// Clues are revealed when the player asks instead of on a timer, guesses are
+// limited, and progress is kept in the StatsStore so a reload carries on
+// where the player left off.
+
+const DAILY_CLUES = ['region', 'population', 'language', 'neighbours', 'capital', 'flag'];
+const MAX_GUESSES = 5;
+const FIRST_DAY = '2026-01-01'; // Puzzle #1
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Territories are left out so the answer is never too obscure
+const DAILY_COUNTRIES = COUNTRIES_AND_CITIES.filter(country => country.sovereign);
+
+const RESULT_SQUARES = { correct: '🟩', close: '🟨', wrong: '🟥' };
+
+const getDailyDate = (now = new Date()) => now.toISOString().slice(0, 10);
+
+const getPuzzleNumber = (date) => Math.round((Date.parse(date) - Date.parse(FIRST_DAY)) / DAY_MS) + 1;
+
+// Seeding the deck with the date gives every server sharing the secret the
+// same country each day; the secret keeps players from working it out ahead
+const getDailyCountry = (date, secret) => new CountryDeck(
+  DAILY_COUNTRIES,
+  crypto.createHmac('sha256', secret).update(`daily:${date}`).digest('hex')
+).draw();
+
+// Spoiler-free result to paste into a chat:
+//   Country Quest #292 3/5
+//   🔎 4/6 clues
+//   🟥🟨🟩
+const getShareText = (date, entry) => [
+  `Country Quest #${getPuzzleNumber(date)} ${entry.status === 'won' ? entry.guesses.length : 'X'}/${MAX_GUESSES}`,
+  `🔎 ${entry.cluesUsed}/${DAILY_CLUES.length} clues`,
+  entry.guesses.map(({ result }) => RESULT_SQUARES[result]).join('')
+].join('\n');
+
+class DailyChallenge {
+  constructor(statsStore, secret = process.env.DAILY_SECRET || statsStore.getDailySecret()) {
+    this.statsStore = statsStore;
+    this.secret = secret;
+    this.puzzle = null; // { date, country } for the current day
+  }
+
+  getCountry(date) {
+    if (!this.puzzle || this.puzzle.date !== date) {
+      this.puzzle = { date, country: getDailyCountry(date, this.secret) };
+    }
+    return this.puzzle.country;
+  }
+
+  // A player's progress on the given day, starting with the first clue shown.
+  // Nothing is stored until the player reveals a clue or guesses.
+  getEntry(profile, date = getDailyDate()) {
+    const results = this.statsStore.getDailyResults(date);
+    return Object.hasOwn(results, profile.profileId)
+      ? results[profile.profileId]
+      : { cluesUsed: 1, guesses: [], status: 'playing' };
+  }
+
+  revealClue(profile, date = getDailyDate()) {
+    const entry = this.getEntry(profile, date);
+    entry.cluesUsed++;
+    this.statsStore.setDailyEntry(profile, date, entry);
+    this.statsStore.persist();
+  }
+
+  // Returns 'correct', 'close' or 'wrong'; the last allowed miss ends the day as lost
+  guess(profile, guess, date = getDailyDate()) {
+    const entry = this.getEntry(profile, date);
+    const result = matchGuess(guess, this.getCountry(date));
+    entry.guesses.push({ guess, result });
+    this.statsStore.setDailyEntry(profile, date, entry);
+
+    if (result === 'correct' || entry.guesses.length >= MAX_GUESSES) {
+      entry.status = result === 'correct' ? 'won' : 'lost';
+      this.statsStore.recordDailyResult(profile, date, entry.status === 'won');
+    } else {
+      this.statsStore.persist();
+    }
+    return result;
+  }
+
+  // What the player sees; the answer is only included once they are done
+  getState(profile, date = getDailyDate()) {
+    const entry = this.getEntry(profile, date);
+    const country = this.getCountry(date);
+    const finished = entry.status !== 'playing';
+    return {
+      date,
+      number: getPuzzleNumber(date),
+      status: entry.status,
+      totalClues: DAILY_CLUES.length,
+      maxGuesses: MAX_GUESSES,
+      revealedClues: DAILY_CLUES.slice(0, entry.cluesUsed).map((key, index) => ({
+        index,
+        key,
+        label: CLUE_PROVIDERS.get(key).label,
+        value: getClueValue(key, country)
+      })),
+      guesses: entry.guesses,
+      answer: finished ? country : null,
+      share: finished ? getShareText(date, entry) : null
+    };
+  }
+
+  // Public overview for GET /api/daily, plus one player's result when finished
+  getSummary(profileId, date = getDailyDate()) {
+    const results = this.statsStore.getDailyResults(date);
+    const entries = Object.values(results);
+    const solved = entries.filter(entry => entry.status === 'won');
+    const entry = profileId && Object.hasOwn(results, profileId) ? results[profileId] : null;
+
+    return {
+      date,
+      number: getPuzzleNumber(date),
+      totalClues: DAILY_CLUES.length,
+      maxGuesses: MAX_GUESSES,
+      resetsAt: new Date(Date.parse(date) + DAY_MS).toISOString(),
+      players: entries.length,
+      solved: solved.length,
+      averageClues: solved.length > 0
+        ? Math.round(100 * solved.reduce((sum, { cluesUsed }) => sum + cluesUsed, 0) / solved.length) / 100
+        : null,
+      result: entry && entry.status !== 'playing'
+        ? { status: entry.status, cluesUsed: entry.cluesUsed, guesses: entry.guesses.length, share: getShareText(date, entry) }
+        : null
+    };
+  }
+}
+
+module.exports = { DailyChallenge, DAILY_CLUES, MAX_GUESSES, getDailyDate };
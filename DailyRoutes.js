@@ -0,0 +1,17 @@
+const express = require('express');
+
+// Daily challenge overview backed by the given DailyChallenge
+const createDailyRoutes = (dailyChallenge) => {
+  const router = express.Router();
+
+  // GET /api/daily?profileId=... - today's puzzle number, solve stats and,
+  // with a profileId, that player's shareable result once they have finished
+  router.get('/daily', (req, res) => {
+    const { profileId } = req.query;
+    res.json(dailyChallenge.getSummary(typeof profileId === 'string' ? profileId : null));
+  });
+
+  return router;
+};
+
+module.exports = createDailyRoutes;
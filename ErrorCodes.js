@@ -0,0 +1,76 @@
+// Error codes sent to clients in `error_message` payloads as { code, message }
+// Clients should branch on `code`; `message` is a human-readable fallback
+const ERROR_CODES = {
+  ROOM_ID_REQUIRED: 'Room ID is required',
+  ROOM_NOT_FOUND: 'Room not found',
+  ROOM_FULL: 'Room is full!',
+  INVALID_ROOM_OPTIONS: 'Room password must be 1-64 characters and isPublic true or false',
+  WRONG_PASSWORD: 'Incorrect room password',
+  JOIN_FAILED: 'Failed to join room',
+  SPECTATORS_FULL: 'This room has no space for more spectators',
+  SPECTATOR_NOT_FOUND: 'That spectator is no longer watching',
+  ROUND_IN_PROGRESS: 'Wait until the round is over',
+  MATCH_IN_PROGRESS: 'Settings can only change between matches',
+  MATCH_NOT_STARTED: 'Ready up to start the first match',
+  NOT_ENOUGH_PLAYERS: 'At least 2 players are needed to play',
+  RANKED_SETTINGS_LOCKED: 'Ranked rooms always play the standard settings',
+  RANKED_RESTART_LOCKED: 'Ranked matches can\'t be restarted',
+  NOT_IN_ROOM: 'You are not a player in this room',
+  NOT_HOST: 'Only the host can do that',
+  INVALID_SETTINGS: 'Invalid settings',
+  TOO_FEW_CLUES: 'Please select at least 3 clues',
+  INVALID_CLUE: 'Unknown clue type',
+  INVALID_CLUE_TIMING: 'Clue time must be 1-300 seconds with at least one clue per round',
+  INVALID_CLUE_ORDER: 'Clue order must list each enabled clue at most once',
+  INVALID_CLUE_DURATION: 'Clue durations must be between 1 and 300 seconds',
+  NO_CONTINENTS: 'Please select at least one continent',
+  INVALID_CAPACITY: 'Room capacity must be between 2 and 8 and fit the current players',
+  INVALID_TYPO_TOLERANCE: 'Invalid typo tolerance',
+  INVALID_SCORING_MODE: 'Invalid scoring mode',
+  INVALID_DIFFICULTY: 'Difficulty must be easy, medium, hard or mixed',
+  INVALID_POOL: 'Unknown country pool',
+  NO_MATCHING_COUNTRIES: 'No countries match this pool, continent and difficulty combination',
+  INVALID_SEED: 'Seed must be a number or a string of up to 64 characters',
+  INVALID_MAX_ROUNDS: 'Rounds must be a whole number between 1 and 50',
+  INVALID_INTERMISSION_TIME: 'Intermission must be between 0 and 60 seconds',
+  INVALID_GAME_MODE: 'Unknown game mode',
+  INVALID_ANSWER_MODE: 'Answer mode must be text or choice, with 2-6 choices',
+  INVALID_OPTION: 'Unknown answer option',
+  INVALID_TEAM_COUNT: 'Team count must be between 2 and 4',
+  INVALID_CLUE_PURCHASE: 'Clue purchase must be off, self or all',
+  CLUE_PURCHASE_DISABLED: 'Buying clues is turned off in this room',
+  NO_MORE_CLUES: 'Every clue has already been revealed',
+  INVALID_HINT: 'Unknown hint type',
+  HINTS_DISABLED: 'Letter hints are turned off in this room',
+  HINT_ALREADY_USED: 'You already have that hint',
+  TEAM_MODE_OFF: 'Team mode is not turned on in this room',
+  INVALID_TEAM: 'Unknown team',
+  TEAMS_INCOMPLETE: 'Players must be spread over at least two teams',
+  INVALID_MESSAGE: 'Messages must be 1-200 characters',
+  INVALID_REACTION: 'Unknown reaction',
+  ELIMINATED: 'You are out of this match',
+  ALREADY_ANSWERED: 'You or your team have already answered this round',
+  GUESS_LIMIT_REACHED: 'You have used all your guesses for this round',
+  GUESS_COOLDOWN: 'Wait a moment before guessing again',
+  INVALID_GUESS_LIMITS: 'Guess limit must be 1-100 per round and cooldown 0-10 seconds',
+  RATE_LIMITED: 'Too many requests - slow down',
+  INVALID_PAYLOAD: 'Malformed request',
+  SETTINGS_REQUIRED: 'Please set game settings first',
+  WAITING_FOR_SETTINGS: 'Waiting for host to set game settings',
+  SESSION_NOT_FOUND: 'Session expired or not found',
+  ALREADY_QUEUED: 'You are already looking for a match',
+  INVALID_MATCH_PREFERENCES: 'Invalid continents or difficulty for matchmaking',
+  INVALID_NAME: 'Name must be 1-24 characters',
+  PLAYER_NOT_FOUND: 'Player not found',
+  DAILY_NOT_STARTED: 'Start the daily challenge first',
+  DAILY_FINISHED: 'You have already finished today\'s challenge - come back tomorrow',
+  INVALID_QUERY: 'Invalid query parameters',
+  COUNTRY_NOT_FOUND: 'Country not found'
+};
+
+const errorPayload = (code) => ({
+  code,
+  message: ERROR_CODES[code] || code
+});
+
+module.exports = { ERROR_CODES, errorPayload };
@@ -0,0 +1,151 @@
+const { COUNTRIES_AND_CITIES } = require('./CountriesAndCities');
+const { getClueValue } = require('./ClueProviders');
+const { matchGuess, normalizeName } = require('./GuessMatcher');
+const { shuffle } = require('./CountryDeck');
+const { containsCountryName } = require('./CountryNames');
+
+// Game modes selectable through settings.gameMode. A mode decides what a round
+// shows and what counts as the right answer:
+//   rules       settings forced on top of the host's (timing, scoring)
+//   defaults    settings the host may still override
+//   usesClueSettings  whether enableClues/clueOrder/clueDurations apply
+//   eligible(country)  countries the mode can ask about
+//   buildRound(country, context) -> { clues: [{ key, label, value, duration }], answer, options }
+//     context: { clueSchedule, clueTime, random }
+//     options: answer labels for a multiple-choice round, or null for free text
+//   checkGuess(guess, round, typoTolerance) -> 'correct' | 'close' | 'wrong' for free text
+//   eliminateOnWrong  any miss, near ones included, ends the player's run for the rest of the match
+
+const OPTION_COUNT = 4;
+const CANDIDATE_FACTOR = 2; // Distractors are drawn from a band this many times as wide as needed
+
+// Classic rounds: the room's clue schedule, guessed by country name
+const scheduleRound = (country, { clueSchedule }) => ({
+  clues: clueSchedule.map(clue => ({ ...clue, value: getClueValue(clue.key, country) })),
+  answer: country.country,
+  options: null
+});
+
+const guessCountry = (guess, round, typoTolerance) => matchGuess(guess, round.country, typoTolerance);
+
+// One fixed clue shown for the whole (short) round
+const singleClueRound = (key, label, getValue) => (country, { clueTime, random }) => ({
+  clues: [{ key, label, value: getValue(country, random), duration: clueTime }],
+  answer: country.country,
+  options: null
+});
+
+// Cities that don't give the answer away ("Mexico City", "Singapore" are left out)
+const getCities = (country) => [country.capital, ...country.cities]
+  .filter(city => city && !containsCountryName(city, country));
+
+// Reverse questions name the country and ask for one of its facts
+const REVERSE_QUESTIONS = [
+  { key: 'capital', label: 'Capital of', getAnswer: country => country.capital },
+  { key: 'currency', label: 'Currency of', getAnswer: country => country.currencies[0] || null }
+];
+// Every country has a flag, so this is asked when nothing above applies
+const FALLBACK_QUESTION = { key: 'flag', label: 'Flag of', getAnswer: country => country.flag };
+
+// Flags normalise to nothing, so they are compared as they are
+const isSameAnswer = (a, b) => a === b || (normalizeName(a) !== '' && normalizeName(a) === normalizeName(b));
+
+// The right answer plus distinct wrong ones drawn from other countries, shuffled
+const buildOptions = (question, answer, random) => {
+  const distractors = shuffle([...new Set(COUNTRIES_AND_CITIES.map(question.getAnswer))]
+    .filter(value => value && !isSameAnswer(value, answer)), random);
+  return shuffle([answer, ...distractors.slice(0, OPTION_COUNT - 1)], random);
+};
+
+// Country names for a multiple-choice round: the answer plus plausible
+// distractors from its region with similar populations, so neither the
+// region clue nor the size gives the answer away. The population band sits at
+// a random offset around the answer, so the answer isn't always the middle
+// size. Drawn from the room's own country pool, topped up from the full
+// dataset when the pool is too small.
+const buildCountryChoices = (country, count, random, pool) => {
+  const needed = count - 1;
+  let others = pool.filter(entry => entry.iso_code !== country.iso_code);
+  if (others.length < needed) {
+    others = COUNTRIES_AND_CITIES.filter(entry => entry.iso_code !== country.iso_code);
+  }
+
+  const sameRegion = others.filter(entry => entry.region === country.region);
+  const ranked = [country, ...(sameRegion.length >= needed ? sameRegion : others)]
+    .sort((a, b) => a.population - b.population);
+  const bandSize = Math.min(needed * CANDIDATE_FACTOR + 1, ranked.length);
+  const offset = ranked.indexOf(country) - Math.floor(random() * bandSize);
+  const start = Math.max(0, Math.min(offset, ranked.length - bandSize));
+
+  const candidates = ranked.slice(start, start + bandSize).filter(entry => entry !== country);
+  const distractors = shuffle(candidates, random).slice(0, needed);
+  return shuffle([country, ...distractors], random).map(entry => entry.country);
+};
+
+const GAME_MODES = {
+  classic: {
+    rules: {},
+    defaults: {},
+    usesClueSettings: true,
+    eligible: () => true,
+    buildRound: scheduleRound,
+    checkGuess: guessCountry
+  },
+  city_sprint: {
+    rules: { cluesPerRound: 1, clueTime: 10, scoringMode: 'time_bonus' },
+    defaults: { maxRounds: 15, intermissionTime: 2 },
+    usesClueSettings: false,
+    eligible: country => getCities(country).length > 0,
+    buildRound: singleClueRound('city', 'City', (country, random) => {
+      const cities = getCities(country);
+      return cities[Math.floor(random() * cities.length)];
+    }),
+    checkGuess: guessCountry
+  },
+  flag_sprint: {
+    rules: { cluesPerRound: 1, clueTime: 8, scoringMode: 'time_bonus' },
+    defaults: { maxRounds: 15, intermissionTime: 2 },
+    usesClueSettings: false,
+    eligible: () => true,
+    buildRound: singleClueRound('flag', 'Flag', country => country.flag),
+    checkGuess: guessCountry
+  },
+  reverse: {
+    rules: { cluesPerRound: 1, clueTime: 12, scoringMode: 'penalty', letterHints: false },
+    defaults: { maxRounds: 10, intermissionTime: 3 },
+    usesClueSettings: false,
+    eligible: country => REVERSE_QUESTIONS.some(question => question.getAnswer(country)),
+    buildRound: (country, { clueTime, random }) => {
+      const questions = REVERSE_QUESTIONS.filter(question => question.getAnswer(country));
+      const question = questions.length > 0
+        ? questions[Math.floor(random() * questions.length)]
+        : FALLBACK_QUESTION;
+      const answer = question.getAnswer(country);
+      return {
+        clues: [{ key: question.key, label: question.label, value: country.country, duration: clueTime }],
+        answer,
+        options: buildOptions(question, answer, random)
+      };
+    }
+  },
+  survival: {
+    rules: { scoringMode: 'decreasing' },
+    defaults: { maxRounds: 50 },
+    usesClueSettings: true,
+    eliminateOnWrong: true,
+    eligible: () => true,
+    buildRound: scheduleRound,
+    checkGuess: guessCountry
+  }
+};
+const DEFAULT_GAME_MODE = 'classic';
+
+const getGameMode = (mode) => GAME_MODES[mode] || GAME_MODES[DEFAULT_GAME_MODE];
+
+// The host's settings with the mode's defaults filled in and its rules enforced
+const applyGameMode = (settings) => {
+  const mode = getGameMode(settings.gameMode);
+  return { ...mode.defaults, ...settings, ...mode.rules };
+};
+
+module.exports = { GAME_MODES, DEFAULT_GAME_MODE, getGameMode, applyGameMode, buildCountryChoices };
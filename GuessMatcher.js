@@ -0,0 +1,73 @@
+const { COUNTRIES_AND_CITIES } = require('./CountriesAndCities');
+const { normalizeName, getAcceptedNames } = require('./CountryNames');
+
+// Typo tolerance presets selectable through settings.typoTolerance
+// typoRatio: edits accepted as correct, scaled to the name length
+// closeRatio: edits still reported as "close" so the client can show a hint
+const TYPO_TOLERANCE = {
+  strict: { typoRatio: 0, maxTypos: 0, closeRatio: 0.2, maxClose: 2 },
+  normal: { typoRatio: 0.2, maxTypos: 2, closeRatio: 0.4, maxClose: 4 },
+  lenient: { typoRatio: 0.3, maxTypos: 3, closeRatio: 0.5, maxClose: 5 }
+};
+const DEFAULT_TYPO_TOLERANCE = 'normal';
+
+// Names of all countries, used to stop a typo match landing on a different
+// real country (e.g. "Gambia" must never count as a typo of "Zambia")
+const KNOWN_NAMES = new Map();
+COUNTRIES_AND_CITIES.forEach(country => {
+  getAcceptedNames(country).forEach(name => KNOWN_NAMES.set(name, country.iso_code));
+});
+
+// Edit distance where swapping two adjacent letters counts as a single typo
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// True when some other country's name is at least as close to the attempt,
+// so one hedged spelling ("Nigera") can't count for Niger and Nigeria alike
+const isAmbiguousTypo = (attempt, distance, isoCode) => [...KNOWN_NAMES].some(([name, iso]) =>
+  iso !== isoCode && Math.abs(name.length - attempt.length) <= distance && editDistance(attempt, name) <= distance);
+
+// Returns 'correct', 'close' or 'wrong'
+const matchGuess = (guess, country, tolerance = DEFAULT_TYPO_TOLERANCE) => {
+  const rules = TYPO_TOLERANCE[tolerance] || TYPO_TOLERANCE[DEFAULT_TYPO_TOLERANCE];
+  const attempt = normalizeName(guess);
+  if (!attempt) return 'wrong';
+
+  const names = getAcceptedNames(country);
+  if (names.includes(attempt)) return 'correct';
+
+  // A different country spelled correctly is a wrong answer, not a typo
+  const knownIso = KNOWN_NAMES.get(attempt);
+  if (knownIso && knownIso !== country.iso_code) return 'wrong';
+
+  let result = 'wrong';
+  let typoDistance = Infinity;
+  for (const name of names) {
+    const distance = editDistance(attempt, name);
+    const maxTypos = Math.min(rules.maxTypos, Math.floor(name.length * rules.typoRatio));
+    const maxClose = Math.min(rules.maxClose, Math.floor(name.length * rules.closeRatio));
+
+    if (distance <= maxTypos) typoDistance = Math.min(typoDistance, distance);
+    else if (distance <= maxClose) result = 'close';
+  }
+
+  if (typoDistance !== Infinity) {
+    return isAmbiguousTypo(attempt, typoDistance, country.iso_code) ? 'close' : 'correct';
+  }
+  return result;
+};
+
+module.exports = { matchGuess, normalizeName, getAcceptedNames, TYPO_TOLERANCE, DEFAULT_TYPO_TOLERANCE };
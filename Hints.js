@@ -0,0 +1,53 @@
+// Help a player can buy mid-round with request_clue, paid for in points.
+// Every purchase is booked as a negative { type, points } entry in the round
+// breakdown, next to the points the guess itself earned.
+
+// Who sees a clue bought early: nobody (buying disabled), the buyer, or the whole room
+const CLUE_PURCHASE_SCOPES = ['off', 'self', 'all'];
+const DEFAULT_CLUE_PURCHASE_SCOPE = 'self';
+
+const CLUE_COST = 1;
+
+// The answer without parenthesised parts: "Cocos (Keeling) Islands" -> "Cocos Islands"
+const getHintName = (country) => country.country.replace(/\s*\(.*?\)\s*/g, ' ').trim();
+
+const isLetter = (char) => /\p{L}|\p{N}/u.test(char);
+
+// "New Zealand" -> "10 letters (3 + 7)"
+const countLetters = (name) => {
+  const words = name.split(/\s+/).map(word => [...word].filter(isLetter).length).filter(Boolean);
+  const total = words.reduce((sum, length) => sum + length, 0);
+  return words.length > 1 ? `${total} letters (${words.join(' + ')})` : `${total} letters`;
+};
+
+// Keep the first letter of each word and every third letter after it:
+// "New Zealand" -> "N__ Z__l__d"
+const maskName = (name) => name
+  .split(' ')
+  .map(word => {
+    let position = 0;
+    return [...word].map(char => {
+      if (!isLetter(char)) return char;
+      return position++ % 3 === 0 ? char : '_';
+    }).join('');
+  })
+  .join(' ');
+
+const HINT_TYPES = {
+  first_letter: { label: 'First Letter', cost: 1, getValue: name => name.charAt(0) },
+  letter_count: { label: 'Letter Count', cost: 1, getValue: countLetters },
+  masked_name: { label: 'Masked Name', cost: 2, getValue: maskName }
+};
+
+const getHint = (type, country) => {
+  const hint = HINT_TYPES[type];
+  return { type, label: hint.label, value: hint.getValue(getHintName(country)) };
+};
+
+module.exports = {
+  CLUE_PURCHASE_SCOPES,
+  DEFAULT_CLUE_PURCHASE_SCOPE,
+  CLUE_COST,
+  HINT_TYPES,
+  getHint
+};
@@ -0,0 +1,81 @@
+// Queue of players waiting for a random opponent.
+// Entry: { socketId, ranked, rating, maxRatingGap, continents, difficulty, queuedAt, timeout, ... }
+// where a missing continent list (or one containing 'All') and a missing or
+// 'mixed' difficulty accept anything. Ranked players are only paired with each
+// other, and never with someone further away in rating than either allows.
+
+const withinRatingGap = (entry, gap) => entry.maxRatingGap === undefined || gap <= entry.maxRatingGap;
+
+const acceptsAnyContinent = (continents) => !continents || continents.includes('All');
+const acceptsAnyDifficulty = (difficulty) => !difficulty || difficulty === 'mixed';
+
+// The narrowest preferences both players accept, or null if they can't be paired
+const getAgreedPreferences = (a, b) => {
+  const ranked = Boolean(a.ranked);
+  const gap = Math.abs(a.rating - b.rating);
+  if (ranked !== Boolean(b.ranked) || !withinRatingGap(a, gap) || !withinRatingGap(b, gap)) {
+    return null;
+  }
+
+  let continents;
+  if (acceptsAnyContinent(a.continents)) {
+    continents = acceptsAnyContinent(b.continents) ? ['All'] : b.continents;
+  } else if (acceptsAnyContinent(b.continents)) {
+    continents = a.continents;
+  } else {
+    continents = a.continents.filter(region => b.continents.includes(region));
+    if (continents.length === 0) return null;
+  }
+
+  let difficulty;
+  if (acceptsAnyDifficulty(a.difficulty)) {
+    difficulty = acceptsAnyDifficulty(b.difficulty) ? 'mixed' : b.difficulty;
+  } else if (acceptsAnyDifficulty(b.difficulty) || a.difficulty === b.difficulty) {
+    difficulty = a.difficulty;
+  } else {
+    return null;
+  }
+
+  return { ranked, continents, difficulty };
+};
+
+class Matchmaker {
+  constructor() {
+    this.queue = [];
+  }
+
+  has(socketId) {
+    return this.queue.some(entry => entry.socketId === socketId);
+  }
+
+  get size() {
+    return this.queue.length;
+  }
+
+  // Pair the entry with the longest-waiting compatible player, taking both
+  // out of the queue. With nobody compatible the entry joins the queue.
+  // Returns { opponent, preferences } or null.
+  enqueue(entry) {
+    for (const opponent of this.queue) {
+      const preferences = getAgreedPreferences(opponent, entry);
+      if (preferences) {
+        this.remove(opponent.socketId);
+        return { opponent, preferences };
+      }
+    }
+    entry.queuedAt = Date.now();
+    this.queue.push(entry);
+    return null;
+  }
+
+  remove(socketId) {
+    const index = this.queue.findIndex(entry => entry.socketId === socketId);
+    if (index === -1) return null;
+
+    const [entry] = this.queue.splice(index, 1);
+    clearTimeout(entry.timeout);
+    return entry;
+  }
+}
+
+module.exports = { Matchmaker, getAgreedPreferences };
@@ -0,0 +1,42 @@
+// Per-socket event throttling. Every event gets a token bucket: up to `burst`
+// events may arrive back to back, after which one more is let through every
+// `interval` ms. Events without their own entry share the default bucket.
+
+const EVENT_LIMITS = {
+  send_guess: { burst: 5, interval: 1000 },
+  create_room: { burst: 3, interval: 5000 },
+  join_room: { burst: 5, interval: 2000 },
+  spectate_room: { burst: 5, interval: 2000 },
+  find_match: { burst: 3, interval: 2000 },
+  toggle_ready: { burst: 5, interval: 1000 },
+  submit_settings: { burst: 5, interval: 1000 },
+  team_chat: { burst: 5, interval: 1000 },
+  chat_message: { burst: 5, interval: 1000 },
+  reaction: { burst: 10, interval: 500 },
+  daily_guess: { burst: 3, interval: 1000 },
+  default: { burst: 20, interval: 100 }
+};
+
+class RateLimiter {
+  constructor(limits = EVENT_LIMITS) {
+    this.limits = limits;
+    this.buckets = new Map(); // event -> { tokens, updatedAt }
+  }
+
+  // True when the event may go through (and uses up a token)
+  consume(event, now = Date.now()) {
+    const key = Object.hasOwn(this.limits, event) ? event : 'default';
+    const { burst, interval } = this.limits[key];
+    const bucket = this.buckets.get(key) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / interval);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens--;
+    return true;
+  }
+}
+
+module.exports = { RateLimiter, EVENT_LIMITS };
@@ -0,0 +1,18 @@
+// Elo ratings for ranked play. Every ranked round is one rated game between
+// the two players: 1 for the winner, 0 for the loser and 0.5 each on a draw.
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 64; // New players move faster until their rating settles
+const PROVISIONAL_GAMES = 10;
+
+// Chance of beating the opponent, from 0 to 1
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+const getKFactor = (ratedGames) => (ratedGames < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR);
+
+// Points gained (or lost, if negative) for a game with the given score
+const getRatingDelta = (rating, opponentRating, score, ratedGames) =>
+  Math.round(getKFactor(ratedGames) * (score - expectedScore(rating, opponentRating)));
+
+module.exports = { DEFAULT_RATING, expectedScore, getRatingDelta };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Room codes and passwords.
+// Codes skip look-alike characters (0/O, 1/I/L) so they can be read out loud
+// or typed from a screenshot; lookups are case-insensitive.
+
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 64;
+
+// A code no existing room uses
+const generateRoomCode = (isTaken) => {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  } while (isTaken(code));
+  return code;
+};
+
+const normalizeRoomCode = (code) => String(code).trim().toUpperCase();
+
+const isValidPassword = (password) =>
+  typeof password === 'string' && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH;
+
+const hashPassword = (password) => crypto.createHash('sha256').update(password).digest();
+
+// Constant-time comparison against a hash from hashPassword
+const checkPassword = (password, passwordHash) =>
+  typeof password === 'string' && crypto.timingSafeEqual(hashPassword(password), passwordHash);
+
+module.exports = { generateRoomCode, normalizeRoomCode, isValidPassword, hashPassword, checkPassword };
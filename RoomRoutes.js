@@ -0,0 +1,18 @@
+const express = require('express');
+
+// Public lobby listing over the live rooms Map
+const createRoomRoutes = (rooms) => {
+  const router = express.Router();
+
+  // GET /api/rooms - public rooms still waiting for players
+  router.get('/rooms', (req, res) => {
+    const openRooms = [...rooms.values()]
+      .filter(room => room.isOpenLobby())
+      .map(room => room.getLobbySummary());
+    res.json({ rooms: openRooms });
+  });
+
+  return router;
+};
+
+module.exports = createRoomRoutes;
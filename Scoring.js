@@ -0,0 +1,44 @@
+// Scoring modes selectable through settings.scoringMode
+// Each mode returns breakdown entries ({ type, points }) for a guess, so
+// game_over can show exactly where every point of a round came from.
+//
+// context: { clueIndex, totalClues, timeLeft, clueTime }
+
+const TIME_BONUS_MAX = 3; // Bonus for guessing the instant a clue is revealed
+
+// Points for a correct guess on the first clue, dropping by one per revealed clue
+const cluePoints = ({ clueIndex, totalClues }) => ({
+  type: 'clues_remaining',
+  points: Math.max(1, totalClues - clueIndex)
+});
+
+const timeBonus = ({ timeLeft, clueTime }) => ({
+  type: 'time_bonus',
+  points: clueTime > 0 ? Math.round(TIME_BONUS_MAX * Math.max(0, timeLeft) / clueTime) : 0
+});
+
+const SCORING_MODES = {
+  flat: {
+    correct: () => [{ type: 'correct', points: 1 }],
+    wrong: () => []
+  },
+  decreasing: {
+    correct: (context) => [cluePoints(context)],
+    wrong: () => []
+  },
+  time_bonus: {
+    correct: (context) => [cluePoints(context), timeBonus(context)],
+    wrong: () => []
+  },
+  penalty: {
+    correct: (context) => [cluePoints(context)],
+    wrong: () => [{ type: 'wrong_guess', points: -1 }]
+  }
+};
+const DEFAULT_SCORING_MODE = 'flat';
+
+const getScoringMode = (mode) => SCORING_MODES[mode] || SCORING_MODES[DEFAULT_SCORING_MODE];
+
+const sumPoints = (entries) => entries.reduce((total, entry) => total + entry.points, 0);
+
+module.exports = { SCORING_MODES, DEFAULT_SCORING_MODE, getScoringMode, sumPoints };
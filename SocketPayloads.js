@@ -0,0 +1,72 @@
+// Shape checks run before any socket handler sees a payload. Each event lists
+// the fields it reads and their types; fields may be left out, but anything
+// sent must have the listed type and the whole payload must stay small.
+// `bare` events also take a plain string (a room code) instead of an object,
+// and events with no entry at all take no payload.
+
+const MAX_PAYLOAD_BYTES = 4096;
+const MAX_STRING_LENGTH = 256;
+
+const PROFILE_FIELDS = { profileToken: 'string', name: 'string' };
+
+const PAYLOAD_SCHEMAS = {
+  create_room: { fields: { isPublic: 'boolean', password: 'string', ...PROFILE_FIELDS } },
+  join_room: { bare: 'string', fields: { roomId: 'string', password: 'string', ...PROFILE_FIELDS } },
+  find_match: {
+    fields: { ranked: 'boolean', maxRatingGap: 'number', continents: 'array', difficulty: 'string', ...PROFILE_FIELDS }
+  },
+  spectate_room: { fields: { roomId: 'string', password: 'string', ...PROFILE_FIELDS } },
+  promote_spectator: { fields: { roomId: 'string', spectatorId: 'string' } },
+  leave_room: { bare: 'string' },
+  resume_session: { fields: { roomId: 'string', reconnectToken: 'string' } },
+  submit_settings: { fields: { roomId: 'string', settings: 'object' } },
+  toggle_ready: { fields: { roomId: 'string', isReady: 'boolean' } },
+  restart_game: { bare: 'string' },
+  send_guess: { fields: { roomId: 'string', guess: 'string', optionId: 'string' } },
+  assign_team: { fields: { roomId: 'string', playerId: 'string', team: 'number' } },
+  team_chat: { fields: { roomId: 'string', message: 'string' } },
+  chat_message: { fields: { roomId: 'string', message: 'string' } },
+  reaction: { fields: { roomId: 'string', emoji: 'string' } },
+  request_clue: { fields: { roomId: 'string', type: 'string' } },
+  daily_start: { fields: PROFILE_FIELDS },
+  daily_clue: { fields: { profileToken: 'string' } },
+  daily_guess: { fields: { profileToken: 'string', guess: 'string' } }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string' && value.length <= MAX_STRING_LENGTH,
+  boolean: value => typeof value === 'boolean',
+  number: value => Number.isFinite(value),
+  array: value => Array.isArray(value),
+  object: isPlainObject
+};
+
+const getPayloadSize = (payload) => {
+  try {
+    return Buffer.byteLength(JSON.stringify(payload) || '');
+  } catch {
+    return Infinity; // Not serialisable (e.g. binary attachments)
+  }
+};
+
+// True when the event's arguments (minus any ack callback) match its schema
+const isValidPayload = (event, args) => {
+  const values = args.filter(arg => typeof arg !== 'function');
+  if (values.length > 1) return false;
+
+  const [payload] = values;
+  if (payload === undefined) return true;
+  if (getPayloadSize(payload) > MAX_PAYLOAD_BYTES) return false;
+
+  const schema = Object.hasOwn(PAYLOAD_SCHEMAS, event) ? PAYLOAD_SCHEMAS[event] : null;
+  if (!schema) return false;
+  if (schema.bare && !isPlainObject(payload)) return TYPE_CHECKS[schema.bare](payload);
+  if (!schema.fields || !isPlainObject(payload)) return false;
+
+  return Object.entries(schema.fields).every(([field, type]) =>
+    payload[field] === undefined || TYPE_CHECKS[type](payload[field]));
+};
+
+module.exports = { PAYLOAD_SCHEMAS, MAX_PAYLOAD_BYTES, isValidPayload };
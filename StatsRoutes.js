@@ -0,0 +1,40 @@
+const express = require('express');
+const { COUNTRIES_AND_CITIES } = require('./CountriesAndCities');
+const { errorPayload } = require('./ErrorCodes');
+
+const DEFAULT_LEADERBOARD_SIZE = 20;
+const MAX_LEADERBOARD_SIZE = 100;
+const LEADERBOARD_SORTS = ['wins', 'rating'];
+
+const NAMES_BY_ISO = new Map(COUNTRIES_AND_CITIES.map(country => [country.iso_code, country.country]));
+
+// Player stats API backed by the given StatsStore
+const createStatsRoutes = (statsStore) => {
+  const router = express.Router();
+
+  // GET /api/leaderboard?limit=20&sort=rating
+  router.get('/leaderboard', (req, res) => {
+    const { sort = 'wins' } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_LEADERBOARD_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_SIZE || !LEADERBOARD_SORTS.includes(sort)) {
+      return res.status(400).json({ error: errorPayload('INVALID_QUERY') });
+    }
+    res.json({ players: statsStore.getLeaderboard(limit, sort) });
+  });
+
+  // GET /api/players/:profileId/stats
+  router.get('/players/:profileId/stats', (req, res) => {
+    const stats = statsStore.getPlayerStats(req.params.profileId);
+    if (!stats) {
+      return res.status(404).json({ error: errorPayload('PLAYER_NOT_FOUND') });
+    }
+    res.json({
+      ...stats,
+      countries: stats.countries.map(entry => ({ ...entry, country: NAMES_BY_ISO.get(entry.iso_code) || null }))
+    });
+  });
+
+  return router;
+};
+
+module.exports = createStatsRoutes;
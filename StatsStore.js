@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_RATING, getRatingDelta } = require('./Rating');
+
+// Persistent player profiles and match results.
+// Profiles are identified publicly by profileId (used in the REST API) and
+// claimed over sockets with a secret profileToken that only the client holds.
+// A profile is only saved once it has played a match or the daily challenge;
+// until then it lives in memory and may be dropped.
+
+const DEFAULT_STATS_FILE = path.join(__dirname, 'data', 'stats.json');
+const MAX_STORED_MATCHES = 1000; // Oldest matches are dropped past this
+const RECENT_MATCHES = 10; // Matches listed in a player's stats
+const MAX_RATING_HISTORY = 200; // Rated games kept per player
+const MAX_NAME_LENGTH = 24;
+const DAILY_RESULT_DAYS = 30; // Daily challenge results older than this are dropped
+const MAX_UNPLAYED_PROFILES = 10000; // Oldest profiles that never played are dropped past this
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emptyData = () => ({ profiles: {}, tokens: {}, matches: [], daily: {} });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Counters every profile starts with; also fills in fields missing from older stats files
+const newProfileStats = () => ({
+  matches: 0,
+  wins: 0,
+  losses: 0,
+  draws: 0,
+  roundsPlayed: 0,
+  roundsWon: 0,
+  cluesOnWins: 0, // Clues seen across rounds won, for the average
+  currentStreak: 0,
+  bestStreak: 0,
+  countries: {}, // iso_code -> { played, won }
+  rating: DEFAULT_RATING,
+  ratedGames: 0,
+  ratingHistory: [], // [{ at, rating, delta, opponentId, result }]
+  dailyPlayed: 0,
+  dailyWon: 0,
+  dailyStreak: 0, // Consecutive days solved
+  bestDailyStreak: 0,
+  lastDailyWin: null // UTC date of the last solved daily challenge
+});
+
+// Adapters move the whole dataset in and out: load() returns the stored data
+// (or null when there is none yet) and save(data) returns a promise.
+// Backing the store with a database means writing another adapter.
+class MemoryAdapter {
+  load() {
+    return null;
+  }
+
+  save() {
+    return Promise.resolve();
+  }
+}
+
+class JsonFileAdapter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = Promise.resolve();
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Writes are queued and go through a temp file, so a crash mid-write
+  // never leaves a truncated stats file behind
+  save(data) {
+    const json = JSON.stringify(data);
+    const tempPath = `${this.filePath}.tmp`;
+    this.pending = this.pending.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, json);
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.pending;
+  }
+}
+
+const isValidName = (name) =>
+  typeof name === 'string' && name.trim().length > 0 && name.trim().length <= MAX_NAME_LENGTH;
+
+const winRate = (profile) => (profile.matches > 0 ? Math.round(100 * profile.wins / profile.matches) / 100 : 0);
+
+class StatsStore {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.data = { ...emptyData(), ...adapter.load() };
+    Object.entries(this.data.profiles).forEach(([profileId, profile]) => {
+      this.data.profiles[profileId] = { ...newProfileStats(), ...profile };
+    });
+
+    // profileId -> token hash for profiles that never played, oldest first.
+    // Ones left in older stats files are pruned on the next save.
+    this.unplayed = new Map();
+    const tokenHashes = new Map(Object.entries(this.data.tokens).map(([hash, profileId]) => [profileId, hash]));
+    Object.values(this.data.profiles)
+      .filter(profile => profile.matches === 0 && profile.dailyPlayed === 0 &&
+        !Object.values(this.data.daily).some(results => Object.hasOwn(results, profile.profileId)))
+      .forEach(profile => this.unplayed.set(profile.profileId, tokenHashes.get(profile.profileId)));
+  }
+
+  // The dataset as saved: everything but the profiles that never played
+  getStoredData() {
+    if (this.unplayed.size === 0) return this.data;
+    const keep = (entries, getProfileId) =>
+      Object.fromEntries(Object.entries(entries).filter(entry => !this.unplayed.has(getProfileId(entry))));
+    return {
+      ...this.data,
+      profiles: keep(this.data.profiles, ([profileId]) => profileId),
+      tokens: keep(this.data.tokens, ([, profileId]) => profileId)
+    };
+  }
+
+  markPlayed(profile) {
+    this.unplayed.delete(profile.profileId);
+  }
+
+  persist() {
+    return this.adapter.save(this.getStoredData()).catch(error => {
+      console.error('Failed to save stats:', error);
+    });
+  }
+
+  getProfile(profileId) {
+    return Object.hasOwn(this.data.profiles, profileId) ? this.data.profiles[profileId] : null;
+  }
+
+  getProfileByToken(profileToken) {
+    if (typeof profileToken !== 'string') return null;
+    const profileId = this.data.tokens[hashToken(profileToken)];
+    return profileId ? this.data.profiles[profileId] : null;
+  }
+
+  // Resolve the profile behind a token, creating a new one (with a new token)
+  // when the client has none or sends one we don't know
+  claimProfile(profileToken, name) {
+    const profile = this.getProfileByToken(profileToken);
+    if (profile) {
+      if (name && profile.name !== name.trim()) {
+        profile.name = name.trim();
+        if (!this.unplayed.has(profile.profileId)) this.persist();
+      }
+      return { profile, profileToken };
+    }
+
+    const newToken = crypto.randomBytes(24).toString('hex');
+    const profileId = crypto.randomUUID();
+    const newProfile = {
+      profileId,
+      name: name ? name.trim() : `Player-${profileId.slice(0, 4)}`,
+      createdAt: new Date().toISOString(),
+      ...newProfileStats()
+    };
+    this.data.profiles[profileId] = newProfile;
+    this.data.tokens[hashToken(newToken)] = profileId;
+    this.unplayed.set(profileId, hashToken(newToken));
+
+    if (this.unplayed.size > MAX_UNPLAYED_PROFILES) {
+      const [oldestId, oldestHash] = this.unplayed.entries().next().value;
+      this.unplayed.delete(oldestId);
+      delete this.data.profiles[oldestId];
+      delete this.data.tokens[oldestHash];
+    }
+    return { profile: newProfile, profileToken: newToken };
+  }
+
+  // players: [{ playerId, profileId }]; rounds: the room's roundHistory;
+  // standings: ranked as in match_over, with a team number in team matches.
+  // A first place shared between players or teams is a draw.
+  recordMatch({ roomId, seed, rounds, standings, players }) {
+    const profileIds = new Map(players.map(player => [player.playerId, player.profileId]));
+    const leaders = new Set(standings
+      .filter(entry => entry.rank === 1)
+      .map(entry => (entry.team ? `team:${entry.team}` : entry.playerId))).size;
+
+    rounds.forEach(round => {
+      players.forEach(player => {
+        const profile = this.getProfile(player.profileId);
+        if (!profile) return;
+        this.markPlayed(profile);
+        const won = round.winner === player.playerId;
+        const country = profile.countries[round.iso_code] || { played: 0, won: 0 };
+
+        profile.roundsPlayed++;
+        country.played++;
+        if (won) {
+          profile.roundsWon++;
+          profile.cluesOnWins += round.cluesUsed;
+          country.won++;
+        }
+        profile.countries[round.iso_code] = country;
+      });
+    });
+
+    const results = standings.map(entry => {
+      const profile = this.getProfile(profileIds.get(entry.playerId));
+      const result = entry.rank !== 1 ? 'loss' : leaders > 1 ? 'draw' : 'win';
+      if (profile) {
+        this.markPlayed(profile);
+        profile.matches++;
+        if (result === 'win') {
+          profile.wins++;
+          profile.currentStreak++;
+          profile.bestStreak = Math.max(profile.bestStreak, profile.currentStreak);
+        } else {
+          profile[result === 'draw' ? 'draws' : 'losses']++;
+          profile.currentStreak = 0;
+        }
+      }
+      return {
+        profileId: profile ? profile.profileId : null,
+        name: profile ? profile.name : null,
+        score: entry.score,
+        rank: entry.rank,
+        result
+      };
+    });
+
+    this.data.matches.push({
+      matchId: crypto.randomUUID(),
+      roomId,
+      seed,
+      finishedAt: new Date().toISOString(),
+      rounds: rounds.length,
+      players: results
+    });
+    if (this.data.matches.length > MAX_STORED_MATCHES) {
+      this.data.matches.splice(0, this.data.matches.length - MAX_STORED_MATCHES);
+    }
+    return this.persist();
+  }
+
+  // Rate one ranked round between two seated players; winnerId is null on a draw.
+  // Returns [{ playerId, profileId, rating, delta }], or null when the round
+  // can't be rated (a seat left empty or both seats on the same profile)
+  recordRatedGame(players, winnerId) {
+    if (players.length !== 2) return null;
+    const profiles = players.map(player => this.getProfile(player.profileId));
+    if (!profiles[0] || !profiles[1] || profiles[0] === profiles[1]) return null;
+
+    const ratings = profiles.map(profile => profile.rating);
+    const changes = players.map((player, index) => {
+      const profile = profiles[index];
+      const opponent = profiles[1 - index];
+      const score = winnerId === null ? 0.5 : winnerId === player.playerId ? 1 : 0;
+      const delta = getRatingDelta(ratings[index], ratings[1 - index], score, profile.ratedGames);
+
+      this.markPlayed(profile);
+      profile.rating = ratings[index] + delta;
+      profile.ratedGames++;
+      profile.ratingHistory.push({
+        at: new Date().toISOString(),
+        rating: profile.rating,
+        delta,
+        opponentId: opponent.profileId,
+        result: score === 1 ? 'win' : score === 0 ? 'loss' : 'draw'
+      });
+      if (profile.ratingHistory.length > MAX_RATING_HISTORY) {
+        profile.ratingHistory.shift();
+      }
+      return { playerId: player.playerId, profileId: profile.profileId, rating: profile.rating, delta };
+    });
+
+    this.persist();
+    return changes;
+  }
+
+  // Random secret that seeds the daily puzzle when DAILY_SECRET isn't set;
+  // saved so the day's country survives a restart
+  getDailySecret() {
+    if (!this.data.dailySecret) {
+      this.data.dailySecret = crypto.randomBytes(32).toString('hex');
+      this.persist();
+    }
+    return this.data.dailySecret;
+  }
+
+  // Daily challenge progress keyed by profileId for one UTC date ('2026-10-19')
+  getDailyResults(date) {
+    if (!this.data.daily[date]) {
+      this.data.daily[date] = {};
+      const cutoff = new Date(Date.parse(date) - DAILY_RESULT_DAYS * DAY_MS).toISOString().slice(0, 10);
+      Object.keys(this.data.daily)
+        .filter(day => day < cutoff)
+        .forEach(day => delete this.data.daily[day]);
+    }
+    return this.data.daily[date];
+  }
+
+  // Save a player's daily challenge progress; from here on the profile is kept
+  setDailyEntry(profile, date, entry) {
+    this.getDailyResults(date)[profile.profileId] = entry;
+    this.markPlayed(profile);
+  }
+
+  // Count a finished daily challenge; solving on consecutive days builds a streak
+  recordDailyResult(profile, date, won) {
+    profile.dailyPlayed++;
+    if (won) {
+      const yesterday = new Date(Date.parse(date) - DAY_MS).toISOString().slice(0, 10);
+      profile.dailyWon++;
+      profile.dailyStreak = profile.lastDailyWin === yesterday ? profile.dailyStreak + 1 : 1;
+      profile.bestDailyStreak = Math.max(profile.bestDailyStreak, profile.dailyStreak);
+      profile.lastDailyWin = date;
+    } else {
+      profile.dailyStreak = 0;
+    }
+    return this.persist();
+  }
+
+  // Players with at least one finished match; sort is 'wins' or 'rating'
+  getLeaderboard(limit, sort = 'wins') {
+    const byWins = (a, b) => b.wins - a.wins || winRate(b) - winRate(a) || a.matches - b.matches;
+    const byRating = (a, b) => b.rating - a.rating || byWins(a, b);
+    return Object.values(this.data.profiles)
+      .filter(profile => (sort === 'rating' ? profile.ratedGames > 0 : profile.matches > 0))
+      .sort(sort === 'rating' ? byRating : byWins)
+      .slice(0, limit)
+      .map((profile, index) => ({
+        rank: index + 1,
+        profileId: profile.profileId,
+        name: profile.name,
+        matches: profile.matches,
+        wins: profile.wins,
+        winRate: winRate(profile),
+        bestStreak: profile.bestStreak,
+        rating: profile.rating
+      }));
+  }
+
+  getPlayerStats(profileId) {
+    const profile = this.getProfile(profileId);
+    if (!profile) return null;
+
+    return {
+      profileId: profile.profileId,
+      name: profile.name,
+      createdAt: profile.createdAt,
+      matches: profile.matches,
+      wins: profile.wins,
+      losses: profile.losses,
+      draws: profile.draws,
+      winRate: winRate(profile),
+      roundsPlayed: profile.roundsPlayed,
+      roundsWon: profile.roundsWon,
+      averageCluesNeeded: profile.roundsWon > 0
+        ? Math.round(100 * profile.cluesOnWins / profile.roundsWon) / 100
+        : null,
+      currentStreak: profile.currentStreak,
+      bestStreak: profile.bestStreak,
+      rating: profile.rating,
+      ratedGames: profile.ratedGames,
+      ratingHistory: profile.ratingHistory,
+      daily: {
+        played: profile.dailyPlayed,
+        won: profile.dailyWon,
+        currentStreak: profile.dailyStreak,
+        bestStreak: profile.bestDailyStreak
+      },
+      countries: Object.entries(profile.countries)
+        .map(([iso_code, { played, won }]) => ({
+          iso_code,
+          played,
+          won,
+          accuracy: Math.round(100 * won / played) / 100
+        }))
+        .sort((a, b) => b.played - a.played),
+      recentMatches: this.data.matches
+        .filter(match => match.players.some(player => player.profileId === profileId))
+        .slice(-RECENT_MATCHES)
+        .reverse()
+    };
+  }
+}
+
+// STATS_FILE=memory keeps stats for the life of the process only
+const createStatsStore = (statsFile = process.env.STATS_FILE) => new StatsStore(
+  statsFile === 'memory' ? new MemoryAdapter() : new JsonFileAdapter(statsFile || DEFAULT_STATS_FILE)
+);
+
+module.exports = { StatsStore, MemoryAdapter, JsonFileAdapter, createStatsStore, isValidName };
@@ -1,16 +1,119 @@
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
-const { COUNTRIES_AND_CITIES } = require('./CountriesAndCities');
+const { COUNTRIES_AND_CITIES, COUNTRY_POOLS, DIFFICULTIES } = require('./CountriesAndCities');
+const { TYPO_TOLERANCE } = require('./GuessMatcher');
+const { errorPayload } = require('./ErrorCodes');
+const { SCORING_MODES, getScoringMode, sumPoints } = require('./Scoring');
+const { CountryDeck, shuffle } = require('./CountryDeck');
+const { REGIONS } = require('./CountryLoader');
+const { Matchmaker } = require('./Matchmaker');
+const { RateLimiter } = require('./RateLimiter');
+const { isValidPayload } = require('./SocketPayloads');
+const { REACTIONS, censorMessage, getHeldNames, mentionsName } = require('./ChatModeration');
+const countryRoutes = require('./CountryRoutes');
+const createStatsRoutes = require('./StatsRoutes');
+const createRoomRoutes = require('./RoomRoutes');
+const createDailyRoutes = require('./DailyRoutes');
+const { DailyChallenge, DAILY_CLUES } = require('./DailyChallenge');
+const {
+  generateRoomCode, normalizeRoomCode, isValidPassword, hashPassword, checkPassword
+} = require('./RoomAccess');
+const { createStatsStore, isValidName } = require('./StatsStore');
+const { DEFAULT_RATING } = require('./Rating');
+const { isClueKey, buildClueSchedule } = require('./ClueProviders');
+const { GAME_MODES, getGameMode, applyGameMode, buildCountryChoices } = require('./GameModes');
+const {
+  CLUE_PURCHASE_SCOPES, DEFAULT_CLUE_PURCHASE_SCOPE, CLUE_COST, HINT_TYPES, getHint
+} = require('./Hints');
 
-const MAX_PLAYERS = 2;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const MAX_SPECTATORS = 50;
+const DEFAULT_TEAM_COUNT = 2;
+const MAX_TEAM_COUNT = 4;
+const MAX_CHAT_LENGTH = 200;
+const MAX_CHAT_HISTORY = 50; // Room chat messages kept for players who join later
+const ANSWER_MODES = ['text', 'choice'];
+const DEFAULT_CHOICE_COUNT = 4;
+const DEFAULT_MAX_GUESSES_PER_ROUND = 20;
+const MAX_GUESSES_PER_ROUND = 100;
+const MAX_GUESS_COOLDOWN = 10; // Seconds
+const LOG_SOCKET_VIOLATIONS = process.env.LOG_SOCKET_VIOLATIONS === 'true';
+const DEFAULT_CAPACITY = 2;
+const DEFAULT_MAX_ROUNDS = 5;
+const DEFAULT_INTERMISSION_TIME = 5; // Seconds between rounds
+const RECONNECT_GRACE_MS = 30 * 1000; // Seat, score and host role are held this long after a drop
+const MATCHMAKING_TIMEOUT_MS = 60 * 1000; // Give up on finding an opponent after this long
+
+// Settings for matchmade rooms; queued players only pick continents and difficulty
+const MATCHMAKING_SETTINGS = {
+  clueTime: 15,
+  cluesPerRound: 5,
+  maxRounds: DEFAULT_MAX_ROUNDS,
+  intermissionTime: DEFAULT_INTERMISSION_TIME,
+  enableClues: {
+    region: true,
+    population: true,
+    main_export: true,
+    language: true,
+    fun_fact: true,
+    capital: true,
+    flag: true
+  }
+};
+
+// The one ruleset ranked rooms play, so ratings stay comparable between matches
+const RANKED_SETTINGS = {
+  ...MATCHMAKING_SETTINGS,
+  ranked: true,
+  maxPlayers: 2,
+  enabledContinents: ['All'],
+  difficulty: 'mixed',
+  scoringMode: 'decreasing',
+  typoTolerance: 'normal',
+  cluePurchase: 'off',
+  letterHints: false
+};
+
+// Countries a match with these settings draws from
+const selectCountries = (settings, useDifficulty = true) => {
+  let filteredCountries = COUNTRIES_AND_CITIES;
+
+  // A named pool replaces the continent filter
+  if (settings.pool) {
+    const { codes } = COUNTRY_POOLS[settings.pool];
+    filteredCountries = COUNTRIES_AND_CITIES.filter(country => codes.includes(country.iso_code));
+  } else if (settings.enabledContinents && settings.enabledContinents.length > 0) {
+    // If "All" is not selected, filter by specific continents
+    if (!settings.enabledContinents.includes('All')) {
+      filteredCountries = COUNTRIES_AND_CITIES.filter(country => 
+        settings.enabledContinents.includes(country.region)
+      );
+    }
+  }
+
+  if (settings.includeTerritories === false) {
+    filteredCountries = filteredCountries.filter(country => country.sovereign);
+  }
+
+  if (useDifficulty && settings.difficulty && settings.difficulty !== 'mixed') {
+    filteredCountries = filteredCountries.filter(country => country.difficulty === settings.difficulty);
+  }
+
+  // Some modes can't ask about every country (e.g. city sprint needs a city)
+  return filteredCountries.filter(getGameMode(settings.gameMode).eligible);
+};
 
 // ============================================================================
 // EXPRESS & SOCKET.IO SETUP
 // ============================================================================
 const app = express();
 const PORT = process.env.PORT || 4000;
+const statsStore = createStatsStore();
+const dailyChallenge = new DailyChallenge(statsStore);
 
 // Health check endpoints
 app.get('/health', (req, res) => {
@@ -29,6 +132,15 @@ app.get('/', (req, res) => {
 app.use(cors({ origin: "*" }));
 app.use(express.json());
 
+// Read-only country dataset API
+app.use('/api', countryRoutes);
+
+// Leaderboard and per-player stats
+app.use('/api', createStatsRoutes(statsStore));
+
+// Country of the day
+app.use('/api', createDailyRoutes(dailyChallenge));
+
 const server = http.createServer(app);
 
 // Optimized Socket.io configuration
@@ -43,7 +155,7 @@ const io = new Server(server, {
   pingTimeout: 30000,
   pingInterval: 25000,
   connectTimeout: 10000,
-  maxHttpBufferSize: 1e6,
+  maxHttpBufferSize: 1e5, // Single payloads are capped far lower in SocketPayloads
   allowEIO3: true
 });
 
@@ -51,11 +163,18 @@ const io = new Server(server, {
 // GAME STATE MANAGEMENT
 // ============================================================================
 class GameRoom {
-  constructor(roomId) {
+  constructor(roomId, { isPublic = false, password } = {}) {
     this.roomId = roomId;
-    this.players = [];
+    this.isPublic = isPublic; // Listed in GET /api/rooms while waiting for players
+    this.passwordHash = password ? hashPassword(password) : null;
+    this.players = []; // [{ playerId, profileId, name, team, socketId, reconnectToken, connected }] - index 0 is the host
+    this.spectators = []; // [{ spectatorId, socketId, name, profileToken }] - watch only, no seat
+    this.capacity = DEFAULT_CAPACITY;
     this.gameActive = false;
-    this.scores = { p1: 0, p2: 0 };
+    this.scores = {}; // playerId -> score
+    this.teamScores = {}; // team number -> score, in team mode
+    this.roundBreakdown = {}; // playerId -> [{ type, points }] for the current round
+    this.purchases = {}; // playerId -> { clueIndex, hints } bought this round
     this.currentCountry = null;
     this.clueIndex = 0;
     this.timer = null;
@@ -63,404 +182,1744 @@ class GameRoom {
     this.createdAt = Date.now();
     this.readyPlayers = new Set();
     this.settings = null;
-    this.clueSchedule = [];
-    this.maxRounds = null;
+    this.baseClueSchedule = []; // Every enabled clue in the host's order
+    this.clueSchedule = []; // Clues played this round
+    this.round = null; // { country, mode, clues, answer, options, answerId } built by the game mode
+    this.eliminated = new Set(); // playerIds out of the match (survival)
+    this.roundGuesses = new Map(); // playerId -> { count, lastAt } for this round
+    this.chatHistory = []; // Latest room chat messages, oldest first
+    this.maxRounds = DEFAULT_MAX_ROUNDS;
     this.currentRound = 1;
+    this.phase = 'lobby'; // lobby -> round -> intermission -> round ... -> match_over
+    this.intermissionTimer = 0;
+    this.roundHistory = [];
+    this.deck = null; // Countries left to play this match
   }
 
-  addPlayer(socketId) {
-    if (this.players.length >= MAX_PLAYERS) return null;
-    this.players.push(socketId);
-    return this.players.length;
+  addPlayer(socketId, profile) {
+    if (this.players.length >= this.capacity) return null;
+    const player = {
+      playerId: crypto.randomUUID(),
+      profileId: profile.profileId,
+      name: profile.name,
+      team: this.isTeamMode() ? this.getSmallestTeam() : null,
+      socketId,
+      reconnectToken: crypto.randomBytes(24).toString('hex'),
+      connected: true,
+      disconnectTimer: null
+    };
+    this.players.push(player);
+    this.scores[player.playerId] = 0;
+    return player;
+  }
+
+  getPlayer(socketId) {
+    return this.players.find(player => player.socketId === socketId) || null;
+  }
+
+  getPlayerByToken(reconnectToken) {
+    if (typeof reconnectToken !== 'string') return null;
+    return this.players.find(player => player.reconnectToken === reconnectToken) || null;
+  }
+
+  hasPlayer(socketId) {
+    return this.getPlayer(socketId) !== null;
+  }
+
+  // Player number is derived from the seat, never from client payloads
+  getPlayerNum(socketId) {
+    const index = this.players.findIndex(player => player.socketId === socketId);
+    return index > -1 ? index + 1 : null;
+  }
+
+  isHost(socketId) {
+    return this.players.length > 0 && this.players[0].socketId === socketId;
   }
 
   removePlayer(socketId) {
-    const index = this.players.indexOf(socketId);
-    if (index > -1) {
-      this.players.splice(index, 1);
+    const player = this.getPlayer(socketId);
+    if (player) {
+      clearTimeout(player.disconnectTimer);
+      this.players.splice(this.players.indexOf(player), 1);
+      this.readyPlayers.delete(player.playerId);
+      delete this.scores[player.playerId];
     }
-    this.readyPlayers.delete(socketId);
     return this.players.length;
   }
 
+  // Spectators keep their name and profile token in case the host gives them a seat
+  addSpectator(socketId, { name, profileToken }) {
+    if (this.spectators.length >= MAX_SPECTATORS) return null;
+    const spectator = {
+      spectatorId: crypto.randomUUID(),
+      socketId,
+      name: name ? name.trim() : null,
+      profileToken
+    };
+    this.spectators.push(spectator);
+    return spectator;
+  }
+
+  getSpectator(socketId) {
+    return this.spectators.find(spectator => spectator.socketId === socketId) || null;
+  }
+
+  removeSpectator(socketId) {
+    const spectator = this.getSpectator(socketId);
+    if (spectator) {
+      this.spectators.splice(this.spectators.indexOf(spectator), 1);
+    }
+    return spectator;
+  }
+
+  // Keep the seat of a dropped player; the socket id is swapped on resume
+  markDisconnected(socketId) {
+    const player = this.getPlayer(socketId);
+    if (player) {
+      player.connected = false;
+    }
+    return player;
+  }
+
+  resumePlayer(reconnectToken, socketId) {
+    const player = this.getPlayerByToken(reconnectToken);
+    if (!player) return null;
+
+    clearTimeout(player.disconnectTimer);
+    player.disconnectTimer = null;
+    player.socketId = socketId;
+    player.connected = true;
+    return player;
+  }
+
   setReady(socketId, isReady) {
+    const player = this.getPlayer(socketId);
+    if (!player) return false;
+
     if (isReady) {
       // Check if settings exist before allowing ready (only for host)
-      if (socketId === this.players[0] && !this.settings) {
+      if (this.isHost(socketId) && !this.settings) {
         return false; // Host cannot ready up without settings
       }
-      this.readyPlayers.add(socketId);
+      this.readyPlayers.add(player.playerId);
     } else {
-      this.readyPlayers.delete(socketId);
+      this.readyPlayers.delete(player.playerId);
     }
     return true;
   }
 
   areAllReady() {
-    return this.players.length === MAX_PLAYERS && 
-           this.readyPlayers.size === MAX_PLAYERS &&
+    return this.players.length >= MIN_PLAYERS &&
+           this.players.every(player => this.readyPlayers.has(player.playerId)) &&
            this.settings !== null; // Settings must be set
   }
 
-  setSettings(settings) {
-    this.settings = settings;
-    this.timer = settings.clueTime;
-    
-    // Build clue schedule based on enabled clues
-    const DEFAULT_CLUE_SCHEDULE = [
-      { key: 'region', label: 'Region' },
-      { key: 'main_export', label: 'Main Export' },
-      { key: 'population', label: 'Population' },
-      { key: 'currency', label: 'Currency' },
-      { key: 'language', label: 'Language' },
-      { key: 'fun_fact', label: 'Fun Fact' },
-      { key: 'cities', label: 'Major Cities' },
-      { key: 'flag', label: 'Flag' }
-    ];
-    
-    this.clueSchedule = DEFAULT_CLUE_SCHEDULE
-      .filter(clue => settings.enableClues[clue.key])
-      .slice(0, settings.cluesPerRound);
+  // Roster with ready flags and spectators, sent to everyone in ready_state_update
+  getReadyState() {
+    return {
+      players: this.players.map((player, index) => ({
+        playerId: player.playerId,
+        name: player.name,
+        num: index + 1,
+        team: player.team,
+        isHost: index === 0,
+        isReady: this.readyPlayers.has(player.playerId),
+        connected: player.connected
+      })),
+      capacity: this.capacity,
+      spectatorCount: this.spectators.length,
+      spectators: this.spectators.map(({ spectatorId, name }) => ({ spectatorId, name }))
+    };
   }
 
-  getRandomCountry() {
-    // Filter countries by enabled continents
-    let filteredCountries = COUNTRIES_AND_CITIES;
-    
-    if (this.settings && this.settings.enabledContinents.length > 0) {
-      // If "All" is not selected, filter by specific continents
-      if (!this.settings.enabledContinents.includes('All')) {
-        filteredCountries = COUNTRIES_AND_CITIES.filter(country => 
-          this.settings.enabledContinents.includes(country.region)
-        );
-      }
+  // Apply the room's scoring mode to a guess and record it in the round breakdown
+  // Clues the player bought early count as revealed, so they earn fewer clue points
+  scoreGuess(player, isCorrect) {
+    const mode = getScoringMode(this.settings.scoringMode);
+    const context = {
+      clueIndex: this.getPlayerClueIndex(player),
+      totalClues: this.round.clues.length,
+      timeLeft: this.timer,
+      clueTime: this.getCurrentClue().duration
+    };
+    const entries = isCorrect ? mode.correct(context) : mode.wrong(context);
+    return this.addPoints(player, entries);
+  }
+
+  addPoints(player, entries) {
+    if (entries.length === 0) return 0;
+
+    const points = sumPoints(entries);
+    this.scores[player.playerId] += points;
+    if (player.team !== null) {
+      this.teamScores[player.team] = (this.teamScores[player.team] || 0) + points;
     }
-    
-    // Ensure we have countries after filtering
-    if (filteredCountries.length === 0) {
-      filteredCountries = COUNTRIES_AND_CITIES; // Fallback to all countries
+    if (!this.roundBreakdown[player.playerId]) {
+      this.roundBreakdown[player.playerId] = [];
     }
-    
-    const randomIndex = Math.floor(Math.random() * filteredCountries.length);
-    return filteredCountries[randomIndex];
+    this.roundBreakdown[player.playerId].push(...entries);
+    return points;
   }
 
-  startNewRound() {
-    this.currentCountry = this.getRandomCountry();
-    this.clueIndex = 0;
-    this.timer = this.settings.clueTime;
-    this.gameActive = true;
-    this.readyPlayers.clear();
+  getPurchases(player) {
+    if (!this.purchases[player.playerId]) {
+      this.purchases[player.playerId] = { clueIndex: 0, hints: [] };
+    }
+    return this.purchases[player.playerId];
   }
 
-  stopGame() {
-    this.gameActive = false;
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
-    }
+  // Last clue this player can see: the room's clue or one they bought ahead of it
+  getPlayerClueIndex(player) {
+    const bought = this.purchases[player.playerId];
+    return bought ? Math.max(this.clueIndex, bought.clueIndex) : this.clueIndex;
   }
-}
 
-const rooms = new Map();
+  getCluePurchaseScope() {
+    return this.settings.cluePurchase || DEFAULT_CLUE_PURCHASE_SCOPE;
+  }
 
-// Cleanup interval
-setInterval(() => {
-  const now = Date.now();
-  for (const [roomId, room] of rooms.entries()) {
-    if (room.players.length === 0 && now - room.createdAt > 30 * 60 * 1000) {
-      room.stopGame();
-      rooms.delete(roomId);
+  // Reveal the next clue early - for the buyer only, or for the whole room
+  // Returns the clue bought, or null once every clue is out
+  buyClue(player) {
+    const nextIndex = this.getPlayerClueIndex(player) + 1;
+    if (nextIndex >= this.round.clues.length) return null;
+
+    if (this.getCluePurchaseScope() === 'all') {
+      this.clueIndex = nextIndex;
+      this.timer = this.getCurrentClue().duration;
+    } else {
+      this.getPurchases(player).clueIndex = nextIndex;
     }
+    this.addPoints(player, [{ type: 'clue_purchase', points: -CLUE_COST }]);
+    return this.getClue(nextIndex);
   }
-}, 5 * 60 * 1000);
 
-// ============================================================================
-// SOCKET.IO LOGIC
-// ============================================================================
-io.on('connection', (socket) => {
-  console.log(`✅ Player connected: ${socket.id}`);
+  // Each hint type can be bought once per round; returns null if already owned
+  buyHint(player, type) {
+    const purchases = this.getPurchases(player);
+    if (purchases.hints.includes(type)) return null;
 
-  // Send immediate confirmation
-  socket.emit('connection_confirmed', { socketId: socket.id });
+    purchases.hints.push(type);
+    this.addPoints(player, [{ type: `hint_${type}`, points: -HINT_TYPES[type].cost }]);
+    return getHint(type, this.currentCountry);
+  }
 
-  // JOIN ROOM
-  socket.on('join_room', (roomId) => {
-    if (!roomId) {
-      socket.emit('error_message', 'Room ID is required');
-      return;
-    }
-    
-    try {
-      const isNewRoom = !rooms.has(roomId);
-      if (isNewRoom) {
-        rooms.set(roomId, new GameRoom(roomId));
-        console.log(`📦 Created room: ${roomId}`);
-      }
+  getRoundBreakdown() {
+    return this.players.map((player, index) => {
+      const entries = this.roundBreakdown[player.playerId] || [];
+      return {
+        playerId: player.playerId,
+        num: index + 1,
+        entries,
+        total: sumPoints(entries)
+      };
+    });
+  }
 
-      const room = rooms.get(roomId);
+  // Scores sorted best first; tied players share a rank
+  getStandings() {
+    const standings = this.players
+      .map((player, index) => ({
+        playerId: player.playerId,
+        name: player.name,
+        num: index + 1,
+        score: this.scores[player.playerId] || 0
+      }))
+      .sort((a, b) => b.score - a.score);
 
-      if (room.players.length >= MAX_PLAYERS) {
-        socket.emit('error_message', 'Room is full!');
-        socket.emit('room_full_redirect'); // Tell client to go back to lobby
-        return;
-      }
+    standings.forEach((entry, index) => {
+      const previous = standings[index - 1];
+      entry.rank = previous && previous.score === entry.score ? previous.rank : index + 1;
+    });
+    return standings;
+  }
 
-      // If player is already in this room, don't add again
-      if (room.players.includes(socket.id)) {
-          return; 
-      }
+  // In team mode every player is on a team numbered 1..teamCount
+  isTeamMode() {
+    return Boolean(this.settings && this.settings.teamMode);
+  }
 
-      const playerNum = room.addPlayer(socket.id);
-      socket.join(roomId);
-      
-      // Send player assignment
-      socket.emit('player_assigned', { 
-        num: playerNum, 
-        settings: room.settings,
-        isHost: playerNum === 1
-      });
-      console.log(`👤 Player ${socket.id} joined ${roomId} as P${playerNum}`);
+  getTeamCount() {
+    return this.settings.teamCount || DEFAULT_TEAM_COUNT;
+  }
 
-      // Notify other player if room is full
-      if (room.players.length === MAX_PLAYERS) {
-        io.to(roomId).emit('room_ready');
-        
-        // Send current settings to both players
-        if (room.settings) {
-          io.to(roomId).emit('settings_updated', room.settings);
-        }
+  getSmallestTeam() {
+    const sizes = Array.from({ length: this.getTeamCount() }, (_, index) =>
+      this.players.filter(player => player.team === index + 1).length);
+    return sizes.indexOf(Math.min(...sizes)) + 1;
+  }
+
+  // Re-check teams after a settings change: players without a valid team go to
+  // the smallest one, and everyone loses their team when team mode is off
+  balanceTeams() {
+    const teamMode = this.isTeamMode();
+    this.players.forEach(player => {
+      if (!teamMode || player.team > this.getTeamCount()) {
+        player.team = null;
       }
-    } catch (error) {
-      console.error('Error joining room:', error);
-      socket.emit('error_message', 'Failed to join room');
+    });
+    if (teamMode) {
+      this.players
+        .filter(player => player.team === null)
+        .forEach(player => {
+          player.team = this.getSmallestTeam();
+        });
     }
-  });
+  }
 
-  // LEAVE ROOM
-  socket.on('leave_room', (roomId) => {
-    const room = rooms.get(roomId);
-    if (!room) return;
-    
-    room.removePlayer(socket.id);
-    socket.leave(roomId);
-    
-    io.to(roomId).emit('player_left');
-    
-    const p1Socket = room.players[0];
-    const p2Socket = room.players[1];
-    io.to(roomId).emit('ready_state_update', {
-      p1: p1Socket ? room.readyPlayers.has(p1Socket) : false,
-      p2: false
+  setTeam(playerId, team) {
+    const player = this.players.find(entry => entry.playerId === playerId);
+    if (!player) return false;
+    player.team = team;
+    return true;
+  }
+
+  // A team match needs players on at least two different teams
+  hasValidTeams() {
+    return !this.isTeamMode() || new Set(this.players.map(player => player.team)).size >= 2;
+  }
+
+  // Team scores best first with each member's share; tied teams share a rank
+  getTeamStandings() {
+    if (!this.isTeamMode()) return null;
+
+    const standings = Array.from({ length: this.getTeamCount() }, (_, index) => {
+      const team = index + 1;
+      return {
+        team,
+        score: this.teamScores[team] || 0,
+        members: this.players
+          .filter(player => player.team === team)
+          .map(player => ({
+            playerId: player.playerId,
+            name: player.name,
+            score: this.scores[player.playerId] || 0,
+            roundPoints: sumPoints(this.roundBreakdown[player.playerId] || [])
+          }))
+      };
+    })
+      .filter(entry => entry.members.length > 0)
+      .sort((a, b) => b.score - a.score);
+
+    standings.forEach((entry, index) => {
+      const previous = standings[index - 1];
+      entry.rank = previous && previous.score === entry.score ? previous.rank : index + 1;
     });
+    return standings;
+  }
 
-    if (room.players.length === 0) {
-      room.stopGame();
-      rooms.delete(roomId);
-    }
-  });
+  // Standings for match stats; in team mode each player takes their team's rank
+  getResultStandings() {
+    const standings = this.getStandings();
+    if (!this.isTeamMode()) return standings;
 
-  // SUBMIT SETTINGS (Host only)
-  socket.on('submit_settings', ({ roomId, settings }) => {
-    const room = rooms.get(roomId);
-    if (!room) {
-      socket.emit('error_message', 'Room not found');
-      return;
-    }
+    const teamRanks = new Map(this.getTeamStandings().map(entry => [entry.team, entry.rank]));
+    return standings.map(entry => {
+      const { team } = this.players.find(player => player.playerId === entry.playerId);
+      return { ...entry, team, rank: teamRanks.get(team) };
+    });
+  }
 
-    // Only host (player 1) can submit settings
-    if (room.players[0] !== socket.id) {
-      socket.emit('error_message', 'Only the host can set game settings');
-      return;
-    }
+  isOpenLobby() {
+    return this.isPublic && this.phase === 'lobby' && this.players.length < this.capacity;
+  }
 
-    // Validate settings
-    if (!settings || !settings.enableClues || !settings.enabledContinents) {
-      socket.emit('error_message', 'Invalid settings');
-      return;
-    }
+  // Entry in GET /api/rooms - enough to pick a lobby, never the password
+  getLobbySummary() {
+    const { settings } = this;
+    return {
+      roomId: this.roomId,
+      host: this.players.length > 0 ? this.players[0].name : null,
+      players: this.players.length,
+      capacity: this.capacity,
+      spectators: this.spectators.length,
+      hasPassword: this.passwordHash !== null,
+      settings: settings && {
+        ranked: settings.ranked === true,
+        maxRounds: this.maxRounds,
+        cluesPerRound: settings.cluesPerRound,
+        clueTime: settings.clueTime,
+        difficulty: settings.difficulty || 'mixed',
+        pool: settings.pool || null,
+        enabledContinents: settings.enabledContinents
+      }
+    };
+  }
 
-    // Validate at least 3 clues are enabled
-    const enabledClueCount = Object.values(settings.enableClues).filter(Boolean).length;
-    if (enabledClueCount < 3) {
-      socket.emit('error_message', 'Please select at least 3 clues');
-      return;
-    }
+  // A new match starts from the lobby, or as a rematch once the last one is over
+  canStartMatch() {
+    return (this.phase === 'lobby' || this.phase === 'match_over') && this.areAllReady() && this.hasValidTeams();
+  }
 
-    // Validate at least one continent is selected
-    if (settings.enabledContinents.length === 0) {
-      socket.emit('error_message', 'Please select at least one continent');
-      return;
+  setSettings(settings) {
+    this.settings = settings;
+    this.timer = settings.clueTime;
+    this.maxRounds = settings.maxRounds || DEFAULT_MAX_ROUNDS;
+    if (settings.maxPlayers) {
+      this.capacity = settings.maxPlayers;
     }
+    
+    // Build clue schedule based on enabled clues and the host's preferred order
+    this.baseClueSchedule = buildClueSchedule(settings.enableClues || {}, settings.clueOrder)
+      .map(clue => ({ ...clue, duration: this.getClueDuration(clue.key) }));
+    this.clueSchedule = this.baseClueSchedule.slice(0, settings.cluesPerRound);
+    this.balanceTeams();
+  }
 
-    // Set the settings
-    room.setSettings(settings);
-    console.log(`⚙️ Settings updated for room ${roomId}`);
+  // Per-clue override from settings.clueDurations, else the shared clueTime
+  getClueDuration(key) {
+    const { clueDurations, clueTime } = this.settings;
+    return (clueDurations && clueDurations[key]) || clueTime;
+  }
 
-    // Notify both players about settings
-    io.to(roomId).emit('settings_updated', room.settings);
-    
-    // Update ready status
-    const p1Socket = room.players[0];
-    const p2Socket = room.players[1];
+  getCurrentClue() {
+    return this.round.clues[this.clueIndex];
+  }
 
-    io.to(roomId).emit('ready_state_update', {
-      p1: room.readyPlayers.has(p1Socket),
-      p2: room.readyPlayers.has(p2Socket)
-    });
-  });
+  getMode() {
+    return getGameMode(this.settings.gameMode);
+  }
 
-  // TOGGLE READY
-  socket.on('toggle_ready', ({ roomId, isReady }) => {
-    const room = rooms.get(roomId);
-    if (!room) {
-      socket.emit('error_message', 'Room not found');
-      return;
+  // Why a player can't guess right now, or null. Eliminated players sit out,
+  // multiple-choice rounds take one answer, and the host's per-round cap and
+  // cooldown (settings.maxGuessesPerRound, settings.guessCooldown) apply to everyone
+  getGuessBlock(player, now = Date.now()) {
+    if (this.eliminated.has(player.playerId)) return 'ELIMINATED';
+    // A team gets one answer per multiple-choice round, whoever gives it
+    if (this.round.options && player.team !== null && this.players.some(teammate =>
+      teammate.team === player.team && this.roundGuesses.has(teammate.playerId))) {
+      return 'ALREADY_ANSWERED';
     }
-
-    // Check if player is host and settings are not set
-    if (room.players[0] === socket.id && !room.settings && isReady) {
-      socket.emit('error_message', 'Please set game settings first');
-      return;
+    const guesses = this.roundGuesses.get(player.playerId);
+    if (!guesses) return null;
+    if (this.round.options) return 'ALREADY_ANSWERED';
+    if (guesses.count >= (this.settings.maxGuessesPerRound || DEFAULT_MAX_GUESSES_PER_ROUND)) {
+      return 'GUESS_LIMIT_REACHED';
     }
+    if (now - guesses.lastAt < (this.settings.guessCooldown || 0) * 1000) return 'GUESS_COOLDOWN';
+    return null;
+  }
 
-    // Check if player is player 2 and settings are not set
-    if (room.players[1] === socket.id && !room.settings && isReady) {
-      socket.emit('error_message', 'Waiting for host to set game settings');
-      return;
-    }
+  // A cooldown only delays the next guess; anything else rules the player out this round
+  canGuess(player) {
+    const block = this.getGuessBlock(player);
+    return block === null || block === 'GUESS_COOLDOWN';
+  }
 
-    const success = room.setReady(socket.id, isReady);
-    if (!success) {
-      socket.emit('error_message', 'Cannot ready up without game settings');
-      return;
+  addChatMessage(entry) {
+    this.chatHistory.push(entry);
+    if (this.chatHistory.length > MAX_CHAT_HISTORY) {
+      this.chatHistory.shift();
     }
+    return entry;
+  }
 
-    const p1Socket = room.players[0];
-    const p2Socket = room.players[1];
+  countGuess(player, now = Date.now()) {
+    const guesses = this.roundGuesses.get(player.playerId) || { count: 0, lastAt: 0 };
+    this.roundGuesses.set(player.playerId, { count: guesses.count + 1, lastAt: now });
+  }
 
-    io.to(roomId).emit('ready_state_update', {
-      p1: room.readyPlayers.has(p1Socket),
-      p2: room.readyPlayers.has(p2Socket)
-    });
+  getOption(optionId) {
+    return this.round.options.find(option => option.id === optionId) || null;
+  }
 
-    if (room.areAllReady()) {
-      console.log(`🚀 All players ready in ${roomId}. Starting game...`);
-      startGameLoop(room);
-    }
-  });
+  hasActiveGuessers() {
+    return this.players.some(player => this.canGuess(player));
+  }
 
-  // RESTART GAME
-  socket.on('restart_game', (roomId) => {
-    const room = rooms.get(roomId);
-    if (!room) {
-      socket.emit('error_message', 'Room not found');
-      return;
+  // Note a missed guess ('close' included); returns true if it knocked the player out of the match
+  recordMiss(player) {
+    if (this.round.mode.eliminateOnWrong) {
+      this.eliminated.add(player.playerId);
+      return true;
     }
+    return false;
+  }
 
-    if (room.players[0] !== socket.id) {
-      socket.emit('error_message', "Only the Host (Player 1) can restart.");
-      return;
+  // Settings echoed to clients, including the resolved clue schedule. The deck
+  // seed is left out since it gives away every answer; match_over shares it.
+  getPublicSettings() {
+    if (!this.settings) return null;
+    const { seed, ...settings } = this.settings;
+    return {
+      ...settings,
+      clueSchedule: this.baseClueSchedule.slice(0, this.settings.cluesPerRound)
+    };
+  }
+
+  // A difficulty that leaves nothing in the chosen pool or continents (only
+  // possible for matchmade rooms) falls back to every difficulty there
+  getFilteredCountries() {
+    const settings = this.settings || {};
+    const countries = selectCountries(settings);
+    if (countries.length > 0) return countries;
+
+    const anyDifficulty = selectCountries(settings, false);
+    return anyDifficulty.length > 0
+      ? anyDifficulty
+      : COUNTRIES_AND_CITIES.filter(getGameMode(settings.gameMode).eligible);
+  }
+
+  // Deal a fresh deck so no country repeats within the match
+  // A seed from settings makes the sequence reproducible across rooms
+  dealDeck() {
+    this.deck = new CountryDeck(this.getFilteredCountries(), this.settings.seed);
+  }
+
+  getRandomCountry() {
+    if (!this.deck) {
+      this.dealDeck();
     }
+    return this.deck.draw();
+  }
 
-    console.log(`🔄 Host restarted game in ${roomId}`);
-    startGameLoop(room);
-  });
+  // Public view of a single clue - only ever built for indexes already revealed
+  getClue(index) {
+    const clue = this.round && this.round.clues[index];
+    if (!clue) return null;
+    return {
+      index,
+      key: clue.key,
+      label: clue.label,
+      value: clue.value,
+      duration: clue.duration
+    };
+  }
 
-  // GAME LOOP HELPER
-  function startGameLoop(room) {
-    room.stopGame();
-    room.startNewRound();
+  getRevealedClues(lastIndex = this.clueIndex) {
+    const revealed = [];
+    for (let i = 0; i <= lastIndex; i++) {
+      revealed.push(this.getClue(i));
+    }
+    return revealed;
+  }
 
-    io.to(room.roomId).emit('game_started', {
-      countryData: room.currentCountry,
-      clueIndex: room.clueIndex,
-      settings: room.settings
-    });
+  // Snapshot replayed to a player resuming their session, with what they bought,
+  // or to a spectator (player null) who only sees what the whole room has seen
+  getRoundState(player) {
+    const purchases = this.gameActive && player ? this.getPurchases(player) : { hints: [] };
+    const lastClueIndex = player ? this.getPlayerClueIndex(player) : this.clueIndex;
+    return {
+      phase: this.phase,
+      gameActive: this.gameActive,
+      currentRound: this.currentRound,
+      maxRounds: this.maxRounds,
+      intermissionTimer: this.intermissionTimer,
+      clueIndex: this.clueIndex,
+      totalClues: this.round ? this.round.clues.length : this.clueSchedule.length,
+      revealedClues: this.gameActive ? this.getRevealedClues(lastClueIndex) : [],
+      options: this.gameActive ? this.round.options : null,
+      eliminated: [...this.eliminated],
+      hints: purchases.hints.map(type => getHint(type, this.currentCountry)),
+      timer: this.timer,
+      standings: this.getStandings(),
+      scores: this.scores
+    };
+  }
 
-    room.interval = setInterval(() => {
-      if (!room.gameActive) {
-        clearInterval(room.interval);
-        return;
-      }
+  startMatch() {
+    this.currentRound = 1;
+    this.roundHistory = [];
+    this.dealDeck();
+    this.teamScores = {};
+    this.eliminated.clear();
+    this.players.forEach(player => {
+      this.scores[player.playerId] = 0;
+    });
+  }
 
-      room.timer--;
-      io.to(room.roomId).emit('timer_update', room.timer);
-
-      if (room.timer <= 0) {
-        if (room.clueIndex < room.clueSchedule.length - 1) {
-          room.clueIndex++;
-          room.timer = room.settings.clueTime;
-          io.to(room.roomId).emit('next_clue', room.clueIndex);
-        } else {
-          // Check if max rounds reached
-          if (room.settings.maxRounds && room.currentRound >= room.settings.maxRounds) {
-            finishGame(room, 'draw', true);
-          } else {
-            room.currentRound++;
-            finishGame(room, 'draw');
-          }
-        }
-      }
-    }, 1000);
+  // The match also ends once every player has been eliminated
+  isFinalRound() {
+    return this.currentRound >= this.maxRounds ||
+      this.players.every(player => this.eliminated.has(player.playerId));
   }
 
-  // FINISH GAME HELPER
-  function finishGame(room, winner, finalGame = false) {
-    room.stopGame();
-    io.to(room.roomId).emit('game_over', {
-      winner,
-      correctCountry: room.currentCountry,
-      scores: room.scores,
-      finalGame
+  // Record how the round ended; the round counts whether it was won or timed out
+  recordRound(winner) {
+    this.roundHistory.push({
+      round: this.currentRound,
+      country: this.currentCountry.country,
+      iso_code: this.currentCountry.iso_code,
+      winner: winner ? winner.playerId : null,
+      winningTeam: winner ? winner.team : null,
+      cluesUsed: winner ? this.getPlayerClueIndex(winner) + 1 : null,
+      breakdown: this.getRoundBreakdown()
     });
-    
-    if (finalGame) {
-      console.log(`🏁 Final game completed in ${room.roomId}`);
+  }
+
+  startNewRound() {
+    this.phase = 'round';
+    this.currentCountry = this.getRandomCountry();
+    if (this.settings.randomizeClueOrder) {
+      this.clueSchedule = shuffle(this.baseClueSchedule.slice(), this.deck.random)
+        .slice(0, this.settings.cluesPerRound);
+    }
+    // The round keeps the mode it was built by, so answers are always checked the same way
+    const mode = this.getMode();
+    this.round = {
+      country: this.currentCountry,
+      mode,
+      ...mode.buildRound(this.currentCountry, {
+        clueSchedule: this.clueSchedule,
+        clueTime: this.settings.clueTime,
+        random: this.deck.random
+      })
+    };
+    if (!this.round.options && this.settings.answerMode === 'choice') {
+      this.round.options = buildCountryChoices(this.currentCountry,
+        this.settings.choiceCount || DEFAULT_CHOICE_COUNT, this.deck.random, this.deck.countries);
     }
+    // Options go out with random ids; only the server knows which one is right
+    if (this.round.options) {
+      this.round.options = this.round.options.map(label => ({ id: crypto.randomBytes(4).toString('hex'), label }));
+      this.round.answerId = this.round.options.find(option => option.label === this.round.answer).id;
+    }
+    this.clueIndex = 0;
+    this.timer = this.getCurrentClue().duration;
+    this.roundBreakdown = {};
+    this.purchases = {};
+    this.roundGuesses.clear();
+    this.gameActive = true;
+    this.readyPlayers.clear();
   }
 
-  // GUESS HANDLING
-  socket.on('send_guess', ({ roomId, guess, playerNum }) => {
-    const room = rooms.get(roomId);
-    if (!room || !room.gameActive) return;
+  stopGame() {
+    this.gameActive = false;
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+const rooms = new Map();
+const matchmaker = new Matchmaker();
 
-    const normalize = (str) => str.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const target = normalize(room.currentCountry.country);
-    const attempt = normalize(guess);
+// Public lobby listing
+app.use('/api', createRoomRoutes(rooms));
 
-    if (attempt === target) {
-      const winner = playerNum === 1 ? 'player1' : 'player2';
-      if (winner === 'player1') room.scores.p1++;
-      else room.scores.p2++;
-      
-      finishGame(room, winner);
-    } else {
-      socket.to(roomId).emit('opponent_guess', guess);
-    }
+// ============================================================================
+// MATCH FLOW
+// ============================================================================
+function startMatch(room) {
+  room.stopGame();
+  room.startMatch();
+  console.log(`🚀 Match started in ${room.roomId} (${room.maxRounds} rounds)`);
+  startGameLoop(room);
+}
+
+function startGameLoop(room) {
+  room.stopGame();
+  room.startNewRound();
+
+  // Never send room.currentCountry here - the answer is only revealed in game_over
+  io.to(room.roomId).emit('game_started', {
+    clue: room.getClue(room.clueIndex),
+    clueIndex: room.clueIndex,
+    totalClues: room.round.clues.length,
+    options: room.round.options, // Multiple-choice answers, in modes that have them
+    round: room.currentRound,
+    maxRounds: room.maxRounds,
+    settings: room.getPublicSettings()
+  });
+
+  room.interval = setInterval(() => {
+    if (!room.gameActive) {
+      clearInterval(room.interval);
+      return;
+    }
+
+    room.timer--;
+    io.to(room.roomId).emit('timer_update', room.timer);
+
+    if (room.timer <= 0) {
+      if (room.clueIndex < room.round.clues.length - 1) {
+        room.clueIndex++;
+        room.timer = room.getCurrentClue().duration;
+        io.to(room.roomId).emit('next_clue', room.getClue(room.clueIndex));
+      } else {
+        finishGame(room, null);
+      }
+    }
+  }, 1000);
+}
+
+// Ends the current round; winner is the winning player's seat, or null for a draw
+function finishGame(room, winner) {
+  room.stopGame();
+  room.recordRound(winner);
+  const finalGame = room.isFinalRound();
+
+  // Each ranked round is a rated game between the two players
+  const ratingChanges = room.settings.ranked
+    ? statsStore.recordRatedGame(room.players, winner ? winner.playerId : null)
+    : null;
+
+  io.to(room.roomId).emit('game_over', {
+    winner: winner ? { playerId: winner.playerId, num: room.getPlayerNum(winner.socketId) } : null,
+    winningTeam: winner ? winner.team : null,
+    isDraw: !winner,
+    correctCountry: room.currentCountry,
+    correctAnswer: room.round.answer,
+    correctOptionId: room.round.options ? room.round.answerId : null,
+    round: room.currentRound,
+    maxRounds: room.maxRounds,
+    standings: room.getStandings(),
+    scores: room.scores,
+    roundBreakdown: room.getRoundBreakdown(),
+    teamStandings: room.getTeamStandings(),
+    ratingChanges,
+    finalGame
+  });
+
+  if (finalGame) {
+    finishMatch(room);
+  } else {
+    startIntermission(room);
+  }
+}
+
+function startIntermission(room) {
+  room.phase = 'intermission';
+  room.intermissionTimer = room.settings.intermissionTime !== undefined
+    ? room.settings.intermissionTime
+    : DEFAULT_INTERMISSION_TIME;
+
+  io.to(room.roomId).emit('intermission_started', {
+    nextRound: room.currentRound + 1,
+    countdown: room.intermissionTimer
+  });
+
+  const nextRound = () => {
+    room.currentRound++;
+    startGameLoop(room);
+  };
+
+  if (room.intermissionTimer <= 0) {
+    nextRound();
+    return;
+  }
+
+  room.interval = setInterval(() => {
+    room.intermissionTimer--;
+    io.to(room.roomId).emit('intermission_update', room.intermissionTimer);
+
+    if (room.intermissionTimer <= 0) {
+      nextRound();
+    }
+  }, 1000);
+}
+
+function finishMatch(room) {
+  room.phase = 'match_over';
+  console.log(`🏁 Match completed in ${room.roomId}`);
+
+  statsStore.recordMatch({
+    roomId: room.roomId,
+    seed: room.deck.seed,
+    rounds: room.roundHistory,
+    standings: room.getResultStandings(),
+    players: room.players
+  });
+
+  io.to(room.roomId).emit('match_over', {
+    standings: room.getStandings(),
+    teamStandings: room.getTeamStandings(),
+    scores: room.scores,
+    rounds: room.roundHistory,
+    seed: room.deck.seed // Replay the same sequence by submitting this seed
+  });
+}
+
+// Socket.IO room for one team's private traffic
+const getTeamChannel = (roomId, team) => `${roomId}:team:${team}`;
+
+// Move every connected player's socket into their current team channel
+function syncTeamChannels(room) {
+  room.players.forEach(player => {
+    const socket = io.sockets.sockets.get(player.socketId);
+    if (!socket) return;
+    for (let team = 1; team <= MAX_TEAM_COUNT; team++) {
+      socket.leave(getTeamChannel(room.roomId, team));
+    }
+    if (player.team !== null) {
+      socket.join(getTeamChannel(room.roomId, player.team));
+    }
+  });
+}
+
+// Seat a socket in a room under its saved profile and send it its assignment
+function seatPlayer(socket, room, profileToken, name) {
+  const claimed = statsStore.claimProfile(profileToken, name);
+  const player = room.addPlayer(socket.id, claimed.profile);
+  const playerNum = room.getPlayerNum(socket.id);
+  socket.join(room.roomId);
+
+  // Clients keep profileToken to build up stats across visits
+  socket.emit('player_assigned', {
+    roomId: room.roomId,
+    num: playerNum,
+    playerId: player.playerId,
+    reconnectToken: player.reconnectToken,
+    profileId: player.profileId,
+    profileToken: claimed.profileToken,
+    name: player.name,
+    settings: room.getPublicSettings(),
+    isHost: playerNum === 1,
+    chatHistory: room.chatHistory
+  });
+  console.log(`👤 Player ${socket.id} joined ${room.roomId} as P${playerNum}`);
+  syncTeamChannels(room);
+  return player;
+}
+
+// Put two queued players in a fresh room and start the match right away
+function startMatchmadeGame(entries, preferences) {
+  const roomId = generateRoomCode(code => rooms.has(code));
+  const room = new GameRoom(roomId);
+  rooms.set(roomId, room);
+  room.setSettings(preferences.ranked ? { ...RANKED_SETTINGS } : {
+    ...MATCHMAKING_SETTINGS,
+    enabledContinents: preferences.continents,
+    difficulty: preferences.difficulty
+  });
+  console.log(`🤝 Matched ${entries.length} players into ${roomId}`);
+
+  entries.forEach(entry => {
+    const socket = io.sockets.sockets.get(entry.socketId);
+    seatPlayer(socket, room, entry.profileToken, entry.name);
+    room.setReady(socket.id, true);
+  });
+
+  io.to(roomId).emit('match_found', {
+    roomId,
+    players: room.getReadyState().players,
+    settings: room.getPublicSettings()
+  });
+  startMatch(room);
+}
+
+// Remove a player for good and tell the rest of the room
+function removePlayerFromRoom(roomId, room, socketId) {
+  // Leaving a ranked match (or running out the reconnect grace) forfeits it
+  const leaver = room.getPlayer(socketId);
+  if (leaver && room.settings && room.settings.ranked &&
+      (room.phase === 'round' || room.phase === 'intermission')) {
+    const opponent = room.players.find(player => player !== leaver);
+    const ratingChanges = opponent ? statsStore.recordRatedGame(room.players, opponent.playerId) : null;
+    io.to(roomId).emit('ranked_forfeit', { playerId: leaver.playerId, ratingChanges });
+  }
+
+  room.removePlayer(socketId);
+
+  io.to(roomId).emit('player_left');
+  io.to(roomId).emit('ready_state_update', room.getReadyState());
+
+  if (room.players.length === 0) {
+    io.to(roomId).emit('room_closed'); // Only spectators are left to hear it
+    room.stopGame();
+    rooms.delete(roomId);
+  }
+}
+
+// Cleanup interval
+setInterval(() => {
+  const now = Date.now();
+  for (const [roomId, room] of rooms.entries()) {
+    if (room.players.length === 0 && now - room.createdAt > 30 * 60 * 1000) {
+      room.stopGame();
+      rooms.delete(roomId);
+    }
+  }
+}, 5 * 60 * 1000);
+
+// ============================================================================
+// SOCKET.IO LOGIC
+// ============================================================================
+io.on('connection', (socket) => {
+  console.log(`✅ Player connected: ${socket.id}`);
+
+  // Send immediate confirmation
+  socket.emit('connection_confirmed', { socketId: socket.id });
+
+  const emitError = (code) => socket.emit('error_message', errorPayload(code));
+  const rateLimiter = new RateLimiter();
+
+  // Every event is throttled and shape-checked before it reaches its handler;
+  // dropped events are reported back to the sender
+  socket.use(([event, ...args], next) => {
+    const violation = !rateLimiter.consume(event) ? 'RATE_LIMITED'
+      : !isValidPayload(event, args) ? 'INVALID_PAYLOAD'
+        : null;
+    if (!violation) {
+      next();
+      return;
+    }
+
+    emitError(violation);
+    if (LOG_SOCKET_VIOLATIONS) {
+      console.warn(`🚫 ${violation} from ${socket.id} on ${event}`);
+    }
+  });
+
+  // Resolve a room the socket is seated in, reporting an error otherwise
+  const getMemberRoom = (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room) {
+      emitError('ROOM_NOT_FOUND');
+      return null;
+    }
+    if (!room.hasPlayer(socket.id)) {
+      emitError('NOT_IN_ROOM');
+      return null;
+    }
+    return room;
+  };
+
+  // CREATE ROOM
+  // Rooms are private (unlisted) unless isPublic is set; a password is optional either way
+  socket.on('create_room', ({ isPublic = false, password, profileToken, name } = {}) => {
+    if (typeof isPublic !== 'boolean' || (password !== undefined && !isValidPassword(password))) {
+      emitError('INVALID_ROOM_OPTIONS');
+      return;
+    }
+
+    if (name !== undefined && !isValidName(name)) {
+      emitError('INVALID_NAME');
+      return;
+    }
+
+    const roomId = generateRoomCode(code => rooms.has(code));
+    const room = new GameRoom(roomId, { isPublic, password });
+    rooms.set(roomId, room);
+    console.log(`📦 Created ${isPublic ? 'public' : 'private'} room: ${roomId}`);
+
+    socket.emit('room_created', { roomId, isPublic, hasPassword: room.passwordHash !== null });
+    seatPlayer(socket, room, profileToken, name);
+    io.to(roomId).emit('ready_state_update', room.getReadyState());
+  });
+
+  // JOIN ROOM
+  // Accepts a bare room code, or { roomId, password, profileToken, name } to join a
+  // password-protected room or play under a saved profile. Codes are case-insensitive.
+  socket.on('join_room', (payload) => {
+    const { roomId: code, password, profileToken, name } = payload !== null && typeof payload === 'object'
+      ? payload
+      : { roomId: payload };
+    if (!code) {
+      emitError('ROOM_ID_REQUIRED');
+      return;
+    }
+
+    if (name !== undefined && !isValidName(name)) {
+      emitError('INVALID_NAME');
+      return;
+    }
+
+    try {
+      const roomId = normalizeRoomCode(code);
+      const room = rooms.get(roomId);
+      if (!room) {
+        emitError('ROOM_NOT_FOUND');
+        return;
+      }
+
+      if (room.players.length >= room.capacity) {
+        emitError('ROOM_FULL');
+        socket.emit('room_full_redirect'); // Tell client to go back to lobby
+        return;
+      }
+
+      // If player is already in this room, don't add again
+      if (room.hasPlayer(socket.id)) {
+          return; 
+      }
+
+      if (room.passwordHash && !checkPassword(password, room.passwordHash)) {
+        emitError('WRONG_PASSWORD');
+        return;
+      }
+
+      seatPlayer(socket, room, profileToken, name);
+
+      io.to(roomId).emit('ready_state_update', room.getReadyState());
+
+      // Notify everyone once there are enough players to start
+      if (room.players.length >= MIN_PLAYERS) {
+        io.to(roomId).emit('room_ready');
+        
+        // Send current settings to all players
+        if (room.settings) {
+          io.to(roomId).emit('settings_updated', room.getPublicSettings());
+        }
+      }
+    } catch (error) {
+      console.error('Error joining room:', error);
+      emitError('JOIN_FAILED');
+    }
+  });
+
+  // FIND MATCH (random opponent)
+  // continents and difficulty are optional; leaving them out accepts any opponent.
+  // Ranked players are matched on rating and play the standard ranked ruleset.
+  socket.on('find_match', ({ ranked = false, maxRatingGap, continents, difficulty, profileToken, name } = {}) => {
+    if (matchmaker.has(socket.id)) {
+      emitError('ALREADY_QUEUED');
+      return;
+    }
+
+    if ((continents !== undefined &&
+         (!Array.isArray(continents) || continents.length === 0 ||
+          !continents.every(region => region === 'All' || REGIONS.includes(region)))) ||
+        (difficulty !== undefined && difficulty !== 'mixed' && !DIFFICULTIES.includes(difficulty)) ||
+        typeof ranked !== 'boolean' ||
+        (maxRatingGap !== undefined && (!Number.isInteger(maxRatingGap) || maxRatingGap < 0))) {
+      emitError('INVALID_MATCH_PREFERENCES');
+      return;
+    }
+
+    if (name !== undefined && !isValidName(name)) {
+      emitError('INVALID_NAME');
+      return;
+    }
+
+    const profile = statsStore.getProfileByToken(profileToken);
+    const entry = {
+      socketId: socket.id,
+      ranked,
+      rating: profile ? profile.rating : DEFAULT_RATING,
+      maxRatingGap,
+      continents,
+      difficulty,
+      profileToken,
+      name
+    };
+    const paired = matchmaker.enqueue(entry);
+    if (paired) {
+      startMatchmadeGame([paired.opponent, entry], paired.preferences);
+      return;
+    }
+
+    entry.timeout = setTimeout(() => {
+      matchmaker.remove(socket.id);
+      socket.emit('matchmaking_timeout');
+    }, MATCHMAKING_TIMEOUT_MS);
+
+    socket.emit('matchmaking_queued', { queueSize: matchmaker.size, timeoutMs: MATCHMAKING_TIMEOUT_MS });
+  });
+
+  // CANCEL MATCHMAKING
+  socket.on('cancel_matchmaking', () => {
+    if (matchmaker.remove(socket.id)) {
+      socket.emit('matchmaking_cancelled');
+    }
+  });
+
+  // SPECTATE ROOM
+  // Watch a room without a seat - allowed mid-match and when every seat is taken.
+  // Spectators get the room's broadcasts but never a guess result or bought hint.
+  socket.on('spectate_room', ({ roomId: code, password, profileToken, name } = {}) => {
+    if (!code) {
+      emitError('ROOM_ID_REQUIRED');
+      return;
+    }
+
+    if (name !== undefined && !isValidName(name)) {
+      emitError('INVALID_NAME');
+      return;
+    }
+
+    const roomId = normalizeRoomCode(code);
+    const room = rooms.get(roomId);
+    if (!room) {
+      emitError('ROOM_NOT_FOUND');
+      return;
+    }
+
+    if (room.hasPlayer(socket.id) || room.getSpectator(socket.id)) return;
+
+    if (room.passwordHash && !checkPassword(password, room.passwordHash)) {
+      emitError('WRONG_PASSWORD');
+      return;
+    }
+
+    const spectator = room.addSpectator(socket.id, { name, profileToken });
+    if (!spectator) {
+      emitError('SPECTATORS_FULL');
+      return;
+    }
+
+    socket.join(roomId);
+    console.log(`👀 Spectator ${socket.id} watching ${roomId}`);
+
+    socket.emit('spectating', {
+      roomId,
+      spectatorId: spectator.spectatorId,
+      settings: room.getPublicSettings(),
+      chatHistory: room.chatHistory,
+      ...room.getRoundState(null)
+    });
+    io.to(roomId).emit('ready_state_update', room.getReadyState());
+  });
+
+  // PROMOTE SPECTATOR (Host only, between rounds)
+  socket.on('promote_spectator', ({ roomId, spectatorId } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    if (!room.isHost(socket.id)) {
+      emitError('NOT_HOST');
+      return;
+    }
+
+    if (room.phase === 'round') {
+      emitError('ROUND_IN_PROGRESS');
+      return;
+    }
+
+    const spectator = room.spectators.find(entry => entry.spectatorId === spectatorId);
+    if (!spectator) {
+      emitError('SPECTATOR_NOT_FOUND');
+      return;
+    }
+
+    if (room.players.length >= room.capacity) {
+      emitError('ROOM_FULL');
+      return;
+    }
+
+    room.removeSpectator(spectator.socketId);
+    const player = seatPlayer(io.sockets.sockets.get(spectator.socketId), room,
+      spectator.profileToken, spectator.name || undefined);
+
+    io.to(roomId).emit('spectator_promoted', { spectatorId, playerId: player.playerId });
+    io.to(roomId).emit('ready_state_update', room.getReadyState());
+  });
+
+  // LEAVE ROOM (players and spectators)
+  socket.on('leave_room', (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    if (room.removeSpectator(socket.id)) {
+      socket.leave(roomId);
+      io.to(roomId).emit('ready_state_update', room.getReadyState());
+      return;
+    }
+
+    if (!room.hasPlayer(socket.id)) return;
+    
+    socket.leave(roomId);
+    removePlayerFromRoom(roomId, room, socket.id);
+  });
+
+  // RESUME SESSION (after a dropped connection)
+  socket.on('resume_session', ({ roomId, reconnectToken } = {}) => {
+    const room = rooms.get(roomId);
+    const player = room && room.resumePlayer(reconnectToken, socket.id);
+    if (!player) {
+      emitError('SESSION_NOT_FOUND');
+      return;
+    }
+
+    socket.join(roomId);
+    syncTeamChannels(room);
+    const playerNum = room.getPlayerNum(socket.id);
+    console.log(`🔁 Player ${player.playerId} resumed ${roomId} as P${playerNum}`);
+
+    socket.emit('session_resumed', {
+      num: playerNum,
+      playerId: player.playerId,
+      isHost: room.isHost(socket.id),
+      settings: room.getPublicSettings(),
+      chatHistory: room.chatHistory,
+      ...room.getRoundState(player)
+    });
+
+    socket.to(roomId).emit('player_reconnected', { playerId: player.playerId });
+    io.to(roomId).emit('ready_state_update', room.getReadyState());
+  });
+
+  // SUBMIT SETTINGS (Host only)
+  socket.on('submit_settings', ({ roomId, settings: submitted } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    // Only host (player 1) can submit settings
+    if (!room.isHost(socket.id)) {
+      emitError('NOT_HOST');
+      return;
+    }
+
+    // The deck is dealt for the settings a match started with, so they hold until it ends
+    if (room.phase !== 'lobby' && room.phase !== 'match_over') {
+      emitError('MATCH_IN_PROGRESS');
+      return;
+    }
+
+    // Once a room is ranked its ruleset is fixed, so nobody can dodge a rating change
+    if (room.settings && room.settings.ranked) {
+      emitError('RANKED_SETTINGS_LOCKED');
+      return;
+    }
+
+    // Ranked rooms always play the standard ruleset, whatever else was sent
+    const requested = submitted && submitted.ranked === true ? { ...RANKED_SETTINGS } : submitted;
+
+    // Validate settings
+    if (!requested || typeof requested !== 'object' || !Array.isArray(requested.enabledContinents)) {
+      emitError('INVALID_SETTINGS');
+      return;
+    }
+
+    // Validate game mode if provided; the mode then fills in its own timing and scoring
+    if (requested.gameMode !== undefined && !Object.hasOwn(GAME_MODES, requested.gameMode)) {
+      emitError('INVALID_GAME_MODE');
+      return;
+    }
+    const settings = applyGameMode(requested);
+
+    // Clue fields are shape-checked for every mode, since setSettings builds the
+    // clue schedule from them whether or not the mode plays it
+    if (settings.enableClues !== undefined &&
+        (typeof settings.enableClues !== 'object' || settings.enableClues === null)) {
+      emitError('INVALID_SETTINGS');
+      return;
+    }
+
+    if (settings.clueOrder !== undefined &&
+        (!Array.isArray(settings.clueOrder) ||
+         new Set(settings.clueOrder).size !== settings.clueOrder.length ||
+         !settings.clueOrder.every(isClueKey))) {
+      emitError('INVALID_CLUE_ORDER');
+      return;
+    }
+
+    if (settings.clueDurations !== undefined &&
+        (typeof settings.clueDurations !== 'object' || settings.clueDurations === null ||
+         !Object.entries(settings.clueDurations).every(([key, seconds]) =>
+           isClueKey(key) && Number.isInteger(seconds) && seconds >= 1 && seconds <= 300))) {
+      emitError('INVALID_CLUE_DURATION');
+      return;
+    }
+
+    // Clue choices only matter to modes that play the clue schedule
+    if (getGameMode(settings.gameMode).usesClueSettings) {
+      if (settings.enableClues === undefined) {
+        emitError('INVALID_SETTINGS');
+        return;
+      }
+
+      // Every enabled clue must have a registered provider
+      const enabledClueKeys = Object.keys(settings.enableClues).filter(key => settings.enableClues[key]);
+      if (!enabledClueKeys.every(isClueKey)) {
+        emitError('INVALID_CLUE');
+        return;
+      }
+
+      // Validate at least 3 clues are enabled
+      const enabledClueCount = enabledClueKeys.length;
+      if (enabledClueCount < 3) {
+        emitError('TOO_FEW_CLUES');
+        return;
+      }
+
+      // A custom order may only name enabled clues
+      if (settings.clueOrder !== undefined && !settings.clueOrder.every(key => enabledClueKeys.includes(key))) {
+        emitError('INVALID_CLUE_ORDER');
+        return;
+      }
+    }
+
+    // Validate clue timing; every round needs at least one clue
+    if (!Number.isInteger(settings.clueTime) || settings.clueTime < 1 || settings.clueTime > 300 ||
+        !Number.isInteger(settings.cluesPerRound) || settings.cluesPerRound < 1) {
+      emitError('INVALID_CLUE_TIMING');
+      return;
+    }
+
+    if ((settings.randomizeClueOrder !== undefined && typeof settings.randomizeClueOrder !== 'boolean') ||
+        (settings.ranked !== undefined && typeof settings.ranked !== 'boolean') ||
+        (settings.teamMode !== undefined && typeof settings.teamMode !== 'boolean')) {
+      emitError('INVALID_SETTINGS');
+      return;
+    }
+
+    // Validate at least one continent is selected
+    if (settings.enabledContinents.length === 0) {
+      emitError('NO_CONTINENTS');
+      return;
+    }
+
+    // Validate room capacity if provided
+    if (settings.maxPlayers !== undefined) {
+      const { maxPlayers } = settings;
+      if (!Number.isInteger(maxPlayers) || maxPlayers < MIN_PLAYERS || maxPlayers > MAX_PLAYERS ||
+          maxPlayers < room.players.length) {
+        emitError('INVALID_CAPACITY');
+        return;
+      }
+    }
+
+    // Validate round count and intermission length if provided
+    if (settings.maxRounds !== undefined &&
+        (!Number.isInteger(settings.maxRounds) || settings.maxRounds < 1 || settings.maxRounds > 50)) {
+      emitError('INVALID_MAX_ROUNDS');
+      return;
+    }
+
+    if (settings.intermissionTime !== undefined &&
+        (!Number.isInteger(settings.intermissionTime) || settings.intermissionTime < 0 || settings.intermissionTime > 60)) {
+      emitError('INVALID_INTERMISSION_TIME');
+      return;
+    }
+
+    // Validate team count if provided
+    if (settings.teamCount !== undefined &&
+        (!Number.isInteger(settings.teamCount) || settings.teamCount < 2 || settings.teamCount > MAX_TEAM_COUNT)) {
+      emitError('INVALID_TEAM_COUNT');
+      return;
+    }
+
+    // Validate the per-round guess cap and cooldown if provided
+    if ((settings.maxGuessesPerRound !== undefined &&
+         (!Number.isInteger(settings.maxGuessesPerRound) || settings.maxGuessesPerRound < 1 ||
+          settings.maxGuessesPerRound > MAX_GUESSES_PER_ROUND)) ||
+        (settings.guessCooldown !== undefined &&
+         (typeof settings.guessCooldown !== 'number' || settings.guessCooldown < 0 ||
+          settings.guessCooldown > MAX_GUESS_COOLDOWN))) {
+      emitError('INVALID_GUESS_LIMITS');
+      return;
+    }
+
+    // Validate multiple-choice answers if provided
+    if ((settings.answerMode !== undefined && !ANSWER_MODES.includes(settings.answerMode)) ||
+        (settings.choiceCount !== undefined &&
+         (!Number.isInteger(settings.choiceCount) || settings.choiceCount < 2 || settings.choiceCount > 6))) {
+      emitError('INVALID_ANSWER_MODE');
+      return;
+    }
+
+    // Validate clue buying and letter hints if provided
+    if (settings.cluePurchase !== undefined && !CLUE_PURCHASE_SCOPES.includes(settings.cluePurchase)) {
+      emitError('INVALID_CLUE_PURCHASE');
+      return;
+    }
+
+    if (settings.letterHints !== undefined && typeof settings.letterHints !== 'boolean') {
+      emitError('INVALID_SETTINGS');
+      return;
+    }
+
+    // Validate country selection filters if provided
+    if (settings.difficulty !== undefined &&
+        settings.difficulty !== 'mixed' && !DIFFICULTIES.includes(settings.difficulty)) {
+      emitError('INVALID_DIFFICULTY');
+      return;
+    }
+
+    if (settings.pool !== undefined && settings.pool !== null && !Object.hasOwn(COUNTRY_POOLS, settings.pool)) {
+      emitError('INVALID_POOL');
+      return;
+    }
+
+    if (settings.includeTerritories !== undefined && typeof settings.includeTerritories !== 'boolean') {
+      emitError('INVALID_SETTINGS');
+      return;
+    }
+
+    // The filters together must leave something to play
+    if (selectCountries(settings).length === 0) {
+      emitError('NO_MATCHING_COUNTRIES');
+      return;
+    }
+
+    // Validate deck seed if provided
+    if (settings.seed !== undefined &&
+        !(typeof settings.seed === 'string' && settings.seed.length > 0 && settings.seed.length <= 64) &&
+        !Number.isFinite(settings.seed)) {
+      emitError('INVALID_SEED');
+      return;
+    }
+
+    // Validate scoring mode if provided
+    if (settings.scoringMode !== undefined && !Object.hasOwn(SCORING_MODES, settings.scoringMode)) {
+      emitError('INVALID_SCORING_MODE');
+      return;
+    }
+
+    // Validate typo tolerance if provided
+    if (settings.typoTolerance !== undefined && !Object.hasOwn(TYPO_TOLERANCE, settings.typoTolerance)) {
+      emitError('INVALID_TYPO_TOLERANCE');
+      return;
+    }
+
+    // Set the settings
+    room.setSettings(settings);
+    syncTeamChannels(room);
+    console.log(`⚙️ Settings updated for room ${roomId}`);
+
+    // Notify all players about settings
+    io.to(roomId).emit('settings_updated', room.getPublicSettings());
+    
+    // Update ready status
+    io.to(roomId).emit('ready_state_update', room.getReadyState());
+  });
+
+  // TOGGLE READY
+  socket.on('toggle_ready', ({ roomId, isReady } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    // Nobody can ready up before the host has set game settings
+    if (!room.settings && isReady) {
+      emitError(room.isHost(socket.id) ? 'SETTINGS_REQUIRED' : 'WAITING_FOR_SETTINGS');
+      return;
+    }
+
+    const success = room.setReady(socket.id, isReady);
+    if (!success) {
+      emitError('SETTINGS_REQUIRED');
+      return;
+    }
+
+    io.to(roomId).emit('ready_state_update', room.getReadyState());
+
+    if (room.areAllReady() && !room.hasValidTeams()) {
+      emitError('TEAMS_INCOMPLETE');
+      return;
+    }
+
+    if (room.canStartMatch()) {
+      console.log(`🚀 All players ready in ${roomId}. Starting match...`);
+      startMatch(room);
+    }
+  });
+
+  // RESTART GAME
+  socket.on('restart_game', (roomId) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    if (!room.isHost(socket.id)) {
+      emitError('NOT_HOST');
+      return;
+    }
+
+    if (!room.settings) {
+      emitError('SETTINGS_REQUIRED');
+      return;
+    }
+
+    // A ranked match always plays out, so a losing host can't wipe it
+    if (room.settings.ranked) {
+      emitError('RANKED_RESTART_LOCKED');
+      return;
+    }
+
+    // Restarts happen between rounds or after a match, never over a live round
+    if (room.phase === 'round' || room.phase === 'lobby') {
+      emitError(room.phase === 'round' ? 'ROUND_IN_PROGRESS' : 'MATCH_NOT_STARTED');
+      return;
+    }
+
+    // Same seating rules as a normal start, without waiting on ready flags
+    if (room.players.length < MIN_PLAYERS) {
+      emitError('NOT_ENOUGH_PLAYERS');
+      return;
+    }
+
+    if (!room.hasValidTeams()) {
+      emitError('TEAMS_INCOMPLETE');
+      return;
+    }
+
+    console.log(`🔄 Host restarted match in ${roomId}`);
+    startMatch(room);
+  });
+
+  // GUESS HANDLING
+  // Free-text rounds take { guess }, multiple-choice rounds { optionId }
+  socket.on('send_guess', ({ roomId, guess, optionId } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room || !room.gameActive) return;
+
+    if (typeof (room.round.options ? optionId : guess) !== 'string') return;
+
+    const player = room.getPlayer(socket.id);
+
+    const block = room.getGuessBlock(player);
+    if (block) {
+      emitError(block);
+      return;
+    }
+
+    let result;
+    if (room.round.options) {
+      const option = room.getOption(optionId);
+      if (!option) {
+        emitError('INVALID_OPTION');
+        return;
+      }
+      guess = option.label;
+      result = option.id === room.round.answerId ? 'correct' : 'wrong';
+    } else {
+      result = room.round.mode.checkGuess(guess, room.round, room.settings.typoTolerance);
+    }
+    room.countGuess(player);
+
+    if (result === 'correct') {
+      room.scoreGuess(player, true);
+      finishGame(room, player);
+    } else {
+      const points = room.scoreGuess(player, false);
+      const eliminated = room.recordMiss(player);
+
+      // 'close' lets the client show a "so close!" hint to the guesser only
+      socket.emit('guess_result', { guess, result, points, eliminated });
+
+      // Teammates see how close the guess was; the other teams only see the guess
+      if (player.team !== null) {
+        const teamChannel = getTeamChannel(roomId, player.team);
+        socket.to(teamChannel).emit('teammate_guess', { playerId: player.playerId, guess, result });
+        socket.to(roomId).except(teamChannel).emit('opponent_guess', guess);
+      } else {
+        socket.to(roomId).emit('opponent_guess', guess);
+      }
+
+      if (eliminated) {
+        io.to(roomId).emit('player_eliminated', { playerId: player.playerId });
+      }
+
+      // Nobody left who can answer: end the round now rather than run out the clock
+      if (!room.hasActiveGuessers()) {
+        finishGame(room, null);
+      }
+    }
+  });
+
+  // ASSIGN TEAM (Host only, outside a round)
+  socket.on('assign_team', ({ roomId, playerId, team } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    if (!room.isHost(socket.id)) {
+      emitError('NOT_HOST');
+      return;
+    }
+
+    if (!room.isTeamMode()) {
+      emitError('TEAM_MODE_OFF');
+      return;
+    }
+
+    if (room.phase === 'round') {
+      emitError('ROUND_IN_PROGRESS');
+      return;
+    }
+
+    if (!Number.isInteger(team) || team < 1 || team > room.getTeamCount()) {
+      emitError('INVALID_TEAM');
+      return;
+    }
+
+    if (!room.setTeam(playerId, team)) {
+      emitError('PLAYER_NOT_FOUND');
+      return;
+    }
+
+    syncTeamChannels(room);
+    io.to(roomId).emit('ready_state_update', room.getReadyState());
+  });
+
+  // TEAM CHAT - only the sender's teammates receive it
+  socket.on('team_chat', ({ roomId, message } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    const player = room.getPlayer(socket.id);
+    if (player.team === null) {
+      emitError('TEAM_MODE_OFF');
+      return;
+    }
+
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_CHAT_LENGTH) {
+      emitError('INVALID_MESSAGE');
+      return;
+    }
+
+    io.to(getTeamChannel(roomId, player.team)).emit('team_chat_message', {
+      playerId: player.playerId,
+      name: player.name,
+      team: player.team,
+      message: censorMessage(message.trim()),
+      sentAt: Date.now()
+    });
+  });
+
+  // ROOM CHAT
+  // Seen by everyone in the room, spectators included. Profanity is masked, and
+  // while a round is running messages naming a country are held back.
+  socket.on('chat_message', ({ roomId, message } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_CHAT_LENGTH) {
+      emitError('INVALID_MESSAGE');
+      return;
+    }
+
+    const player = room.getPlayer(socket.id);
+    const entry = { playerId: player.playerId, name: player.name, message: censorMessage(message.trim()), sentAt: Date.now() };
+
+    // Only the sender sees a held-back message, and it looks delivered
+    if (room.gameActive && mentionsName(message, getHeldNames(room.round))) {
+      socket.emit('chat_message', entry);
+      return;
+    }
+
+    io.to(roomId).emit('chat_message', room.addChatMessage(entry));
+  });
+
+  // Emoji reactions are not kept in the chat history
+  socket.on('reaction', ({ roomId, emoji } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room) return;
+
+    if (!REACTIONS.includes(emoji)) {
+      emitError('INVALID_REACTION');
+      return;
+    }
+
+    io.to(roomId).emit('reaction', { playerId: room.getPlayer(socket.id).playerId, emoji, sentAt: Date.now() });
+  });
+
+  // BUY A CLUE OR LETTER HINT
+  // type is 'clue' for the next clue, or one of the HINT_TYPES keys
+  socket.on('request_clue', ({ roomId, type = 'clue' } = {}) => {
+    const room = getMemberRoom(roomId);
+    if (!room || !room.gameActive) return;
+
+    const player = room.getPlayer(socket.id);
+
+    if (type === 'clue') {
+      const scope = room.getCluePurchaseScope();
+      if (scope === 'off') {
+        emitError('CLUE_PURCHASE_DISABLED');
+        return;
+      }
+
+      const clue = room.buyClue(player);
+      if (!clue) {
+        emitError('NO_MORE_CLUES');
+        return;
+      }
+
+      socket.emit('clue_purchased', { clue, cost: CLUE_COST, score: room.scores[player.playerId] });
+      if (scope === 'all') {
+        io.to(roomId).emit('next_clue', clue);
+        io.to(roomId).emit('timer_update', room.timer);
+      }
+    } else {
+      if (!Object.hasOwn(HINT_TYPES, type)) {
+        emitError('INVALID_HINT');
+        return;
+      }
+      if (room.settings.letterHints === false) {
+        emitError('HINTS_DISABLED');
+        return;
+      }
+
+      const hint = room.buyHint(player, type);
+      if (!hint) {
+        emitError('HINT_ALREADY_USED');
+        return;
+      }
+
+      socket.emit('hint_revealed', { hint, cost: HINT_TYPES[type].cost, score: room.scores[player.playerId] });
+    }
+
+    socket.to(roomId).emit('opponent_purchase', { playerId: player.playerId, type });
+  });
+
+  // DAILY CHALLENGE (single player, no room)
+  // Every daily event answers with daily_state, the player's full progress for today
+  socket.on('daily_start', ({ profileToken, name } = {}) => {
+    if (name !== undefined && !isValidName(name)) {
+      emitError('INVALID_NAME');
+      return;
+    }
+
+    const claimed = statsStore.claimProfile(profileToken, name);
+    socket.emit('daily_state', {
+      profileId: claimed.profile.profileId,
+      profileToken: claimed.profileToken,
+      ...dailyChallenge.getState(claimed.profile)
+    });
+  });
+
+  // Resolve the profile for a daily event, reporting an error unless today's puzzle is still open
+  const getDailyProfile = (profileToken) => {
+    const profile = statsStore.getProfileByToken(profileToken);
+    if (!profile) {
+      emitError('DAILY_NOT_STARTED');
+      return null;
+    }
+    if (dailyChallenge.getEntry(profile).status !== 'playing') {
+      emitError('DAILY_FINISHED');
+      return null;
+    }
+    return profile;
+  };
+
+  socket.on('daily_clue', ({ profileToken } = {}) => {
+    const profile = getDailyProfile(profileToken);
+    if (!profile) return;
+
+    if (dailyChallenge.getEntry(profile).cluesUsed >= DAILY_CLUES.length) {
+      emitError('NO_MORE_CLUES');
+      return;
+    }
+
+    dailyChallenge.revealClue(profile);
+    socket.emit('daily_state', dailyChallenge.getState(profile));
+  });
+
+  socket.on('daily_guess', ({ profileToken, guess } = {}) => {
+    if (typeof guess !== 'string' || guess.trim().length === 0) return;
+
+    const profile = getDailyProfile(profileToken);
+    if (!profile) return;
+
+    const result = dailyChallenge.guess(profile, guess.trim());
+    socket.emit('daily_state', { lastResult: result, ...dailyChallenge.getState(profile) });
   });
 
   // DISCONNECT
   socket.on('disconnect', () => {
     console.log(`❌ Disconnected: ${socket.id}`);
+    matchmaker.remove(socket.id);
     for (const [roomId, room] of rooms.entries()) {
-      if (room.players.includes(socket.id)) {
-        room.removePlayer(socket.id);
-        
-        io.to(roomId).emit('player_left');
-        
-        const p1Socket = room.players[0];
-        const p2Socket = room.players[1];
-        io.to(roomId).emit('ready_state_update', {
-          p1: p1Socket ? room.readyPlayers.has(p1Socket) : false,
-          p2: false
-        });
-
-        if (room.players.length === 0) {
-          room.stopGame();
-          rooms.delete(roomId);
-        }
+      if (room.removeSpectator(socket.id)) {
+        io.to(roomId).emit('ready_state_update', room.getReadyState());
+        continue;
       }
+
+      const player = room.markDisconnected(socket.id);
+      if (!player) continue;
+
+      // Hold the seat for a grace period so a brief blip doesn't cost the game
+      io.to(roomId).emit('player_disconnected', {
+        playerId: player.playerId,
+        graceMs: RECONNECT_GRACE_MS
+      });
+      io.to(roomId).emit('ready_state_update', room.getReadyState());
+
+      player.disconnectTimer = setTimeout(() => {
+        if (player.connected || rooms.get(roomId) !== room) return;
+        console.log(`⌛ Grace period expired for ${player.playerId} in ${roomId}`);
+        removePlayerFromRoom(roomId, room, player.socketId);
+      }, RECONNECT_GRACE_MS);
     }
   });
 